@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+'use strict'
+
+/**
+* Filters a ShellExecReactorPlugin journal (see 'journal' in shellExecReactorPlugin.js) and
+* optionally re-runs the matching entries through a ShellExecReactorPlugin built from a config.
+*
+* Matching entries are printed to stdout as JSONL, when replaying the ReactorResult of each
+* replay is printed instead. Exits w/ 1 if any replay fails, 2 on a usage error.
+*/
+
+var path = require('path');
+var ShellExecReactorPlugin = require('../shellExecReactorPlugin');
+var ExecutionJournal = require('../lib/executionJournal');
+var globToRegExp = require('../lib/commandRouter').globToRegExp;
+
+var USAGE = [
+    'Usage: shell-exec-journal <journal.jsonl> [options]',
+    '',
+    'Options:',
+    '  --path <pattern>   only entries whose ioEvent.fullPath matches, a glob or a /regex/',
+    '  --since <time>     only entries recorded at or after, ISO 8601 or epoch ms',
+    '  --until <time>     only entries recorded at or before, ISO 8601 or epoch ms',
+    '  --failed           only entries whose reaction failed',
+    '  --replay <config>  re-run the matching entries through a ShellExecReactorPlugin built from the',
+    '                     pluginConfig exported by this .js/.json module',
+    '  --rerender         w/ --replay, render the config\'s commandTemplates/commandGenerator for each',
+    '                     entry\'s ioEvent instead of executing the recorded commands',
+    '  --verbose          w/ --replay, log the plugin\'s activity to stderr',
+    '  --help'
+].join('\n');
+
+function usageError(message) {
+    console.error(message + '\n\n' + USAGE);
+    process.exit(2);
+}
+
+function parseArgs(argv) {
+    var args = {'failed': false, 'rerender': false, 'verbose': false};
+
+    var valueOf = function(i) {
+        if (i >= argv.length || argv[i].indexOf('--') == 0) {
+            usageError(argv[i-1] + " requires a value");
+        }
+        return argv[i];
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--path': args.path = valueOf(++i); break;
+            case '--since': args.since = valueOf(++i); break;
+            case '--until': args.until = valueOf(++i); break;
+            case '--replay': args.replay = valueOf(++i); break;
+            case '--failed': args.failed = true; break;
+            case '--rerender': args.rerender = true; break;
+            case '--verbose': args.verbose = true; break;
+            case '--help': console.log(USAGE); process.exit(0); break;
+            default:
+                if (argv[i].indexOf('--') == 0 || args.journal) {
+                    usageError("Unexpected argument: " + argv[i]);
+                }
+                args.journal = argv[i];
+        }
+    }
+
+    if (!args.journal) {
+        usageError("A journal file is required");
+    }
+
+    return args;
+}
+
+function parseTime(value, name) {
+    var time = (/^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value));
+    if (isNaN(time)) {
+        usageError(name + " is not an ISO 8601 date or epoch ms: " + value);
+    }
+    return time;
+}
+
+function parsePattern(value) {
+    var regex = /^\/(.*)\/([a-z]*)$/.exec(value);
+
+    // the global and sticky flags make test() stateful, it would skip every other matching record
+    return (regex ? new RegExp(regex[1], regex[2].replace(/[gy]/g, '')) : globToRegExp(value));
+}
+
+/**
+* Returns a function(record) that is true for the journal records matching the args
+*/
+function newFilter(args) {
+    var pathRegExp = (args.path ? parsePattern(args.path) : null);
+    var since = (args.since ? parseTime(args.since, '--since') : null);
+    var until = (args.until ? parseTime(args.until, '--until') : null);
+
+    return function(record) {
+        var recordedAt = Date.parse(record.timestamp);
+
+        if (pathRegExp && !(record.ioEvent && pathRegExp.test(record.ioEvent.fullPath))) {
+            return false;
+        }
+        if (since != null && !(recordedAt >= since)) {
+            return false;
+        }
+        if (until != null && !(recordedAt <= until)) {
+            return false;
+        }
+        if (args.failed && record.success) {
+            return false;
+        }
+        return true;
+    };
+}
+
+/**
+* Builds a ShellExecReactorPlugin from the config module and replays the records through it, one at a time
+*
+* @return Promise - fulfilled w/ the number of replays that failed
+*/
+function replay(records, args) {
+    var pluginConfig = require(path.resolve(args.replay));
+    var failed = 0;
+
+    var plugin = new ShellExecReactorPlugin('shell-exec-journal', 'shell-exec-journal',
+        function(severity, origin, message) {
+            if (args.verbose) {
+                console.error('[' + severity + '] ' + origin + ' ' + message);
+            }
+        },
+        function(message, error) {
+            console.error(message);
+        },
+        function(pluginId) {},
+        pluginConfig);
+
+    var toOutput = function(reactorResult) {
+        return JSON.stringify({
+            'ioEvent': reactorResult.ioEvent,
+            'success': reactorResult.success,
+            'message': reactorResult.message,
+            'failureType': reactorResult.failureType,
+            'commandResults': reactorResult.commandResults
+        });
+    };
+
+    return records.reduce(function(previous, record) {
+        return previous.then(function() {
+            return plugin.replay(record, args.rerender)
+                .then(function(reactorResult) {
+                    console.log(toOutput(reactorResult));
+
+                }, function(reactorResult) {
+                    failed++;
+                    console.log(toOutput(reactorResult));
+                });
+        });
+
+    }, Promise.resolve()).then(function() {
+        return plugin.shutdown();
+
+    }).then(function() {
+        return failed;
+    });
+}
+
+var args = parseArgs(process.argv.slice(2));
+
+var records;
+try {
+    records = ExecutionJournal.read(args.journal).filter(newFilter(args));
+} catch(e) {
+    console.error(e.message);
+    process.exit(2);
+}
+
+if (!args.replay) {
+    for (let record of records) {
+        console.log(JSON.stringify(record));
+    }
+
+} else {
+    replay(records, args)
+        .then(function(failed) {
+            console.error("Replayed " + records.length + " entries, " + failed + " failed");
+            process.exit(failed > 0 ? 1 : 0);
+
+        }).catch(function(e) {
+            console.error("Error replaying journal entries: " + e);
+            process.exit(2);
+        });
+}
@@ -0,0 +1,206 @@
+'use strict'
+
+var shells = require('./shells');
+
+class CommandPolicy {
+
+    /**
+    * Constructor
+    *
+    * Checks rendered/generated commands against allow/deny rules before they are executed
+    *
+    * @param config - object containing any of:
+    *    - 'allow' - array of RegExps (or regex strings), every command must match at least one
+    *    - 'deny' - array of RegExps (or regex strings), no command may match any
+    *    - 'allowedExecutables' - array of executables every statement in a command must invoke, i.e. ['cp','rsync','/usr/bin/gzip'].
+    *                             An entry w/out a '/' only matches that exact bare name (resolved via the shell's PATH),
+    *                             an entry w/ a '/' only matches that exact path. Commands are split on unquoted ; & | and
+    *                             newlines (but not the & of redirections such as 2>&1) and each statement's executable
+    *                             checked, comments are ignored. Command substitution ($(...) or `...`, in powershell any
+    *                             unquoted (...) or @(...)) and process substitution (<(...) or >(...)) are not permitted
+    *                             at all when this is configured.
+    * @param shell - 'posix' or 'powershell', how commands are tokenized for 'allowedExecutables'
+    */
+    constructor(config, shell) {
+        this._allow = toRegExps(config.allow, 'allow');
+        this._deny = toRegExps(config.deny, 'deny');
+        this._allowedExecutables = config.allowedExecutables || null;
+        this._shell = shell;
+
+        if (this._allowedExecutables && !Array.isArray(this._allowedExecutables)) {
+            throw new Error("commandPolicy.allowedExecutables must be an array");
+        }
+    }
+
+    /**
+    * check() - checks a command against the policy
+    *
+    * @param command - the command string
+    * @param shell - optional, 'posix' or 'powershell', the dialect the command is for if not the one given to the constructor
+    * @return null if the command is permitted, otherwise a string describing the rule it violates
+    */
+    check(command, shell) {
+        for (let regexp of this._deny) {
+            regexp.lastIndex = 0;
+            if (regexp.test(command)) {
+                return "deny " + regexp;
+            }
+        }
+
+        if (this._allow.length > 0) {
+            var allowed = this._allow.some(function(regexp) {
+                regexp.lastIndex = 0;
+                return regexp.test(command);
+            });
+            if (!allowed) {
+                return "allow (matches none of " + this._allow.join(', ') + ")";
+            }
+        }
+
+        if (this._allowedExecutables) {
+            var parsed = splitStatements(command, shell || this._shell);
+
+            if (parsed.substitution) {
+                return "allowedExecutables (command or process substitution is not permitted)";
+            }
+
+            for (let statement of parsed.statements) {
+                var executable = executableOf(statement);
+                if (executable != null && this._allowedExecutables.indexOf(executable) == -1) {
+                    return "allowedExecutables (" + executable + " is not one of " + this._allowedExecutables.join(', ') + ")";
+                }
+            }
+        }
+
+        return null;
+    }
+
+}
+
+function toRegExps(patterns, name) {
+    if (typeof(patterns) == 'undefined' || patterns == null) {
+        return [];
+    }
+
+    if (!Array.isArray(patterns)) {
+        throw new Error("commandPolicy." + name + " must be an array of RegExps or regex strings");
+    }
+
+    return patterns.map(function(pattern) {
+        return (pattern instanceof RegExp ? pattern : new RegExp(pattern));
+    });
+}
+
+/**
+* Splits a command into its statements on unquoted control operators (; & | newline), dropping
+* comments, and detects command (or process) substitution, honoring the quoting rules of the shell
+*
+* @return object {statements:[], substitution:boolean}
+*/
+function splitStatements(command, shell) {
+    var escapeChar = (shell == 'powershell' ? '`' : '\\');
+    var statements = [];
+    var current = '';
+    var quote = null;
+    var substitution = false;
+
+    for (let i = 0; i < command.length; i++) {
+        var c = command[i];
+
+        if (c == escapeChar && quote != "'") {
+            current += c + (i+1 < command.length ? command[i+1] : '');
+            i++;
+            continue;
+        }
+
+        if (quote == "'") {
+            if (c == "'") {
+                quote = null;
+            }
+            current += c;
+            continue;
+        }
+
+        // unquoted or within double quotes, both of which expand substitutions
+        if ((c == '$' && command[i+1] == '(') || (c == '`' && shell != 'powershell')) {
+            substitution = true;
+        }
+
+        if (quote == '"') {
+            if (c == '"') {
+                quote = null;
+            }
+            current += c;
+            continue;
+        }
+
+        // a comment hides whatever follows it up to its end, a line comment's newline still ends the statement
+        var comment = shells.commentAt(shell, command, i);
+        if (comment) {
+            var end = command.indexOf(comment, i + 1);
+            if (end == -1) {
+                break;
+            }
+            i = (comment == '\n' ? end - 1 : end + comment.length - 1);
+            continue;
+        }
+
+        // process substitution, only expanded when unquoted, in powershell any unquoted (...) or @(...) executes its contents
+        if ((c == '<' || c == '>') && command[i+1] == '(' && shell != 'powershell') {
+            substitution = true;
+        }
+        if (c == '(' && shell == 'powershell') {
+            substitution = true;
+        }
+
+        if (c == "'" || c == '"') {
+            quote = c;
+            current += c;
+
+        } else if (c == '&' && isRedirection(command, i)) {
+            current += c;
+
+        } else if (c == ';' || c == '&' || c == '|' || c == '\n') {
+            statements.push(current);
+            current = '';
+
+        } else {
+            current += c;
+        }
+    }
+
+    statements.push(current);
+
+    return {
+        'statements': statements.filter(function(statement) { return statement.trim().length > 0; }),
+        'substitution': substitution
+    };
+}
+
+/**
+* Whether the & at a position of a command is part of a redirection (i.e. 2>&1, <&-, &>file)
+* rather than a control operator
+*/
+function isRedirection(command, i) {
+    return (i > 0 && (command[i-1] == '>' || command[i-1] == '<')) ||
+        (command[i+1] == '>' || command[i+1] == '-' || /[0-9]/.test(command[i+1] || ''));
+}
+
+/**
+* Returns the (unquoted) executable invoked by a statement, skipping any
+* leading grouping characters and VAR=value environment assignments
+*/
+function executableOf(statement) {
+    var tokens = statement.replace(/^[\s({]+/, '').split(/\s+/);
+
+    for (let token of tokens) {
+        if (token.length == 0 || /^[A-Za-z_][A-Za-z0-9_]*=/.test(token)) {
+            continue;
+        }
+        return token.replace(/^(['"])(.*)\1$/, '$2');
+    }
+
+    return null;
+}
+
+module.exports = CommandPolicy;
@@ -0,0 +1,204 @@
+'use strict'
+
+var ROUTING_MODES = ['firstMatch', 'allMatches'];
+
+class CommandRouter {
+
+    /**
+    * Constructor
+    *
+    * Selects which command templates apply to a given IoEvent
+    *
+    * @param commandTemplates - either a flat array of templates (applied to every IoEvent) or
+    *                           the routed form, an object containing:
+    *
+    *     - 'mode' - optional, 'firstMatch' (default) only the templates of the first matching route apply,
+    *                'allMatches' the templates of every matching route apply, in route order
+    *
+    *     - 'routes' - array of route objects, each containing:
+    *           - 'eventTypes' - optional, an eventType or array of eventTypes, i.e. ['add','addDir']
+    *           - 'fullPath' - optional, glob string (i.e. '/data/**\/*.zip') or RegExp to test ioEvent.fullPath against
+    *           - 'filename' - optional, glob string (i.e. '*.zip') or RegExp to test ioEvent.filename against
+    *           - 'commandTemplates' - array of templates to apply when the route matches
+    *
+    *           all criteria present must match for the route to match, a route with no criteria matches everything
+    */
+    constructor(commandTemplates) {
+
+        if (Array.isArray(commandTemplates)) {
+            this._mode = 'firstMatch';
+            this._routes = [{'commandTemplates': commandTemplates}];
+            return;
+        }
+
+        if (typeof(commandTemplates) != 'object' || !Array.isArray(commandTemplates.routes)) {
+            throw new Error("commandTemplates must be an array of templates or an object with a 'routes' array");
+        }
+
+        this._mode = commandTemplates.mode || 'firstMatch';
+        if (ROUTING_MODES.indexOf(this._mode) == -1) {
+            throw new Error("commandTemplates.mode must be one of " + ROUTING_MODES.join(', ') + ", got: " + this._mode);
+        }
+
+        this._routes = [];
+        for (let i = 0; i < commandTemplates.routes.length; i++) {
+            var route = commandTemplates.routes[i];
+
+            if (!Array.isArray(route.commandTemplates)) {
+                throw new Error("commandTemplates.routes["+i+"].commandTemplates must be an array");
+            }
+
+            this._routes.push({
+                'eventTypes': (typeof(route.eventTypes) == 'string' ? [route.eventTypes] : route.eventTypes),
+                'fullPath': toRegExp(route.fullPath),
+                'filename': toRegExp(route.filename),
+                'commandTemplates': route.commandTemplates
+            });
+        }
+    }
+
+    /**
+    * getTemplates() - returns the templates that apply to the given IoEvent
+    *
+    * @param ioEvent - the IoEvent being reacted to
+    * @return array of templates, in the order they should be executed
+    */
+    getTemplates(ioEvent) {
+        var templates = [];
+
+        for (let route of this._routes) {
+            if (routeMatches(route, ioEvent)) {
+                templates = templates.concat(route.commandTemplates);
+
+                if (this._mode == 'firstMatch') {
+                    break;
+                }
+            }
+        }
+
+        return templates;
+    }
+
+    /**
+    * getAllTemplates() - returns every template across all routes, for validation
+    *
+    * @return array of templates
+    */
+    getAllTemplates() {
+        var templates = [];
+        for (let route of this._routes) {
+            templates = templates.concat(route.commandTemplates);
+        }
+        return templates;
+    }
+
+}
+
+/**
+* Determines if all the criteria present on a route match the ioEvent
+*/
+function routeMatches(route, ioEvent) {
+    if (route.eventTypes && route.eventTypes.indexOf(ioEvent.eventType) == -1) {
+        return false;
+    }
+
+    if (route.fullPath && !testRegExp(route.fullPath, ioEvent.fullPath)) {
+        return false;
+    }
+
+    if (route.filename && !testRegExp(route.filename, ioEvent.filename)) {
+        return false;
+    }
+
+    return true;
+}
+
+function testRegExp(regexp, value) {
+    regexp.lastIndex = 0; // regexes w/ the global flag are stateful
+    return regexp.test(value);
+}
+
+/**
+* Converts a route pattern (glob string or RegExp) to a RegExp
+*/
+function toRegExp(pattern) {
+    if (typeof(pattern) == 'undefined' || pattern == null) {
+        return null;
+    }
+
+    if (pattern instanceof RegExp) {
+        return pattern;
+    }
+
+    if (typeof(pattern) != 'string') {
+        throw new Error("route patterns must be a glob string or RegExp, got: " + pattern);
+    }
+
+    return globToRegExp(pattern);
+}
+
+/**
+* Converts a glob to an anchored RegExp, supports:
+*    '**' any characters including '/', '*' any characters except '/',
+*    '?' any single character except '/', '[abc]' character classes and '{a,b}' alternatives
+*/
+function globToRegExp(glob) {
+    var regex = '';
+    var inAlternatives = false;
+
+    for (let i = 0; i < glob.length; i++) {
+        var c = glob[i];
+
+        if (c == '*') {
+            if (glob[i+1] == '*') {
+                // '**/' also matches zero directories
+                if (glob[i+2] == '/') {
+                    regex += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    regex += '.*';
+                    i++;
+                }
+            } else {
+                regex += '[^/]*';
+            }
+
+        } else if (c == '?') {
+            regex += '[^/]';
+
+        } else if (c == '[') {
+            var end = glob.indexOf(']', i+1);
+            if (end == -1) {
+                regex += '\\[';
+            } else {
+                var charClass = glob.substring(i+1, end).replace(/\\/g, '\\\\');
+                if (charClass[0] == '!') {
+                    charClass = '^' + charClass.substring(1);
+                }
+                regex += '[' + charClass + ']';
+                i = end;
+            }
+
+        } else if (c == '{') {
+            inAlternatives = true;
+            regex += '(?:';
+
+        } else if (c == '}' && inAlternatives) {
+            inAlternatives = false;
+            regex += ')';
+
+        } else if (c == ',' && inAlternatives) {
+            regex += '|';
+
+        } else {
+            regex += c.replace(/[-\/\\^$+.()|{}\]]/g, '\\$&');
+        }
+    }
+
+    return new RegExp('^' + regex + '$');
+}
+
+module.exports = CommandRouter;
+
+// also used to match paths by bin/shell-exec-journal.js
+module.exports.globToRegExp = globToRegExp;
@@ -0,0 +1,216 @@
+'use strict'
+
+var fs = require('fs');
+var path = require('path');
+
+class DeadLetterQueue {
+
+    /**
+    * Constructor
+    *
+    * An append only JSONL file of reactions that failed all their attempts
+    *
+    * @param filePath - path to the JSONL file, it will be created if it does not exist
+    */
+    constructor(filePath) {
+        if (!filePath || typeof(filePath) != 'string') {
+            throw new Error("deadLetter.path must be a file path string");
+        }
+        this._filePath = filePath;
+
+        // <path>.taken-* files handed out by take() and not yet complete()'d or release()'d
+        this._held = new Set();
+        this._takeCount = 0;
+    }
+
+    /**
+    * getPath()
+    *
+    * @return the path to the JSONL file
+    */
+    getPath() {
+        return this._filePath;
+    }
+
+    /**
+    * getCorruptPath()
+    *
+    * @return the path to the file that take() appends the lines it cannot parse to
+    */
+    getCorruptPath() {
+        return this._filePath + '.corrupt';
+    }
+
+    /**
+    * add() - appends an entry to the dead-letter file
+    *
+    * @param entry - object to be written as one JSON line
+    * @return Promise - fulfilled when written, on reject the error
+    */
+    add(entry) {
+        var self = this;
+
+        return new Promise(function(resolve, reject) {
+            fs.appendFile(self._filePath, JSON.stringify(entry) + '\n', 'utf8', function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    /**
+    * take() - takes all entries currently in the dead-letter file, along w/ those of any earlier take()
+    *          that was never complete()'d (i.e. the process exited while its entries were being replayed)
+    *
+    * The file is moved aside to a <path>.taken-* file before being read so that entries added while the
+    * taken ones are being processed (i.e. they fail again) are not lost. The taken files stay on disk until
+    * complete()'d, and are not handed to another take() until then or until release()'d.
+    *
+    * Lines that cannot be parsed (i.e. one half written when the process died) are skipped and appended
+    * to the <path>.corrupt file, see getCorruptPath(), rather than failing every take() to come.
+    *
+    * @return Promise - fulfilled with an object {entries:[], takenPaths:[], corrupt:N} where 'corrupt' is the
+    *                   number of lines moved to the <path>.corrupt file, on reject the error
+    */
+    take() {
+        var self = this;
+        var takenPath = this._filePath + '.taken-' + Date.now() + '-' + (++this._takeCount);
+
+        return new Promise(function(resolve, reject) {
+            fs.rename(self._filePath, takenPath, function(err) {
+                // ENOENT: nothing dead-lettered since the last take()
+                if (err && err.code != 'ENOENT') {
+                    reject(err);
+                    return;
+                }
+
+                fs.readdir(path.dirname(self._filePath), function(err, filenames) {
+                    if (err) {
+                        reject(err);
+                        return;
+                    }
+
+                    // oldest first, skipping those held by a take() still in progress
+                    var takenPaths = filenames
+                        .map(function(filename) { return takenOrder(self._filePath, filename); })
+                        .filter(function(taken) { return taken != null && !self._held.has(taken.path); })
+                        .sort(function(a, b) { return (a.takenAt - b.takenAt) || (a.count - b.count); })
+                        .map(function(taken) { return taken.path; });
+
+                    for (let heldPath of takenPaths) {
+                        self._held.add(heldPath);
+                    }
+
+                    var entries = [];
+                    var corruptLines = [];
+                    try {
+                        for (let heldPath of takenPaths) {
+                            var read = readEntries(heldPath);
+                            entries = entries.concat(read.entries);
+                            corruptLines = corruptLines.concat(read.corruptLines);
+                        }
+                    } catch(e) {
+                        self.release(takenPaths);
+                        reject(e);
+                        return;
+                    }
+
+                    if (corruptLines.length == 0) {
+                        resolve({'entries': entries, 'takenPaths': takenPaths, 'corrupt': 0});
+                        return;
+                    }
+
+                    // the taken files, and so the corrupt lines in them, stay until complete()'d
+                    fs.appendFile(self.getCorruptPath(), corruptLines.join('\n') + '\n', 'utf8', function(err) {
+                        if (err) {
+                            self.release(takenPaths);
+                            reject(err);
+                        } else {
+                            resolve({'entries': entries, 'takenPaths': takenPaths, 'corrupt': corruptLines.length});
+                        }
+                    });
+                });
+            });
+        });
+    }
+
+    /**
+    * complete() - deletes the files of a take() once all of its entries have been dealt with
+    *
+    * @param takenPaths - the 'takenPaths' take() was fulfilled with
+    * @return Promise - fulfilled when deleted, on reject the error
+    */
+    complete(takenPaths) {
+        var self = this;
+
+        return Promise.all(takenPaths.map(function(takenPath) {
+            return new Promise(function(resolve, reject) {
+                fs.unlink(takenPath, function(err) {
+                    self._held.delete(takenPath);
+
+                    if (err && err.code != 'ENOENT') {
+                        reject(err);
+                    } else {
+                        resolve();
+                    }
+                });
+            });
+        }));
+    }
+
+    /**
+    * release() - hands the files of a take() back, w/out deleting them, so the next take() includes their entries again
+    *
+    * @param takenPaths - the 'takenPaths' take() was fulfilled with
+    */
+    release(takenPaths) {
+        for (let takenPath of takenPaths) {
+            this._held.delete(takenPath);
+        }
+    }
+
+}
+
+/**
+* Returns {path, takenAt, count} if the filename is a <path>.taken-<epoch ms>-<count> file of the dead-letter file, else null
+*/
+function takenOrder(filePath, filename) {
+    var prefix = path.basename(filePath) + '.taken-';
+    if (filename.indexOf(prefix) != 0) {
+        return null;
+    }
+
+    var match = /^(\d+)(?:-(\d+))?$/.exec(filename.substring(prefix.length));
+    if (!match) {
+        return null;
+    }
+
+    return {'path': path.join(path.dirname(filePath), filename),
+            'takenAt': parseInt(match[1], 10),
+            'count': (match[2] ? parseInt(match[2], 10) : 0)};
+}
+
+/**
+* Reads and parses the entries of a JSONL file, throws if it cannot be read
+*
+* @return object {entries:[], corruptLines:[]} where 'corruptLines' are the lines that could not be parsed
+*/
+function readEntries(filePath) {
+    var entries = [];
+    var corruptLines = [];
+    for (let line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+        if (line.trim().length > 0) {
+            try {
+                entries.push(JSON.parse(line));
+            } catch(e) {
+                corruptLines.push(line);
+            }
+        }
+    }
+    return {'entries': entries, 'corruptLines': corruptLines};
+}
+
+module.exports = DeadLetterQueue;
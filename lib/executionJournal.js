@@ -0,0 +1,152 @@
+'use strict'
+
+var fs = require('fs');
+
+class ExecutionJournal {
+
+    /**
+    * Constructor
+    *
+    * An append only JSONL audit trail of reactions, rotated by size. When appending a record would
+    * grow the file past 'maxSizeBytes' the file is first renamed to <path>.1 (an existing <path>.1
+    * to <path>.2 and so on), keeping at most 'maxFiles' rotated files.
+    *
+    * @param config - object containing:
+    *    - 'path' - path to the JSONL file, it will be created if it does not exist
+    *    - 'maxSizeBytes' - optional, size at which the file is rotated, default 10MB
+    *    - 'maxFiles' - optional, number of rotated files to keep, default 5
+    */
+    constructor(config) {
+        if (!config || !config.path || typeof(config.path) != 'string') {
+            throw new Error("journal.path must be a file path string");
+        }
+
+        this._filePath = config.path;
+        this._maxSizeBytes = (typeof(config.maxSizeBytes) == 'number' ? config.maxSizeBytes : 10 * 1024 * 1024);
+        this._maxFiles = (typeof(config.maxFiles) == 'number' ? config.maxFiles : 5);
+
+        if (this._maxSizeBytes <= 0) {
+            throw new Error("journal.maxSizeBytes must be > 0, got: " + this._maxSizeBytes);
+        }
+
+        if (this._maxFiles < 1) {
+            throw new Error("journal.maxFiles must be >= 1, got: " + this._maxFiles);
+        }
+
+        // appends (and rotations) are serialized through this
+        this._writes = Promise.resolve();
+    }
+
+    /**
+    * getPath()
+    *
+    * @return the path to the JSONL file
+    */
+    getPath() {
+        return this._filePath;
+    }
+
+    /**
+    * append() - appends a record to the journal, rotating it first if needed
+    *
+    * @param record - object to be written as one JSON line
+    * @return Promise - fulfilled when written, on reject the error
+    */
+    append(record) {
+        var self = this;
+        var line = JSON.stringify(record) + '\n';
+
+        var write = this._writes.then(function() {
+            return self._rotateIfNeeded(Buffer.byteLength(line, 'utf8'));
+
+        }).then(function() {
+            return new Promise(function(resolve, reject) {
+                fs.appendFile(self._filePath, line, 'utf8', function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve();
+                    }
+                });
+            });
+        });
+
+        // a failed write must not block the ones after it
+        this._writes = write.catch(function() {});
+
+        return write;
+    }
+
+    /**
+    * read() - reads every record of a journal, including its rotated files, oldest first
+    *
+    * @param filePath - path to the journal's JSONL file
+    * @return array of records, throws if a file cannot be read or parsed
+    */
+    static read(filePath) {
+        var files = [];
+        for (let i = 1; fs.existsSync(filePath + '.' + i); i++) {
+            files.unshift(filePath + '.' + i);
+        }
+        if (fs.existsSync(filePath)) {
+            files.push(filePath);
+        }
+
+        var records = [];
+        for (let file of files) {
+            var lines = fs.readFileSync(file, 'utf8').split('\n');
+            for (let i = 0; i < lines.length; i++) {
+                if (lines[i].trim().length == 0) {
+                    continue;
+                }
+                try {
+                    records.push(JSON.parse(lines[i]));
+                } catch(e) {
+                    throw new Error("Error parsing journal file: " + file + " line " + (i+1) + " " + e);
+                }
+            }
+        }
+
+        return records;
+    }
+
+    _rotateIfNeeded(lineBytes) {
+        var self = this;
+
+        return new Promise(function(resolve, reject) {
+            fs.stat(self._filePath, function(err, stats) {
+                if (err) {
+                    // nothing written yet
+                    if (err.code == 'ENOENT') {
+                        resolve();
+                    } else {
+                        reject(err);
+                    }
+                    return;
+                }
+
+                if (stats.size == 0 || stats.size + lineBytes <= self._maxSizeBytes) {
+                    resolve();
+                    return;
+                }
+
+                try {
+                    for (let i = self._maxFiles - 1; i >= 1; i--) {
+                        if (fs.existsSync(self._filePath + '.' + i)) {
+                            fs.renameSync(self._filePath + '.' + i, self._filePath + '.' + (i + 1));
+                        }
+                    }
+                    fs.renameSync(self._filePath, self._filePath + '.1');
+                } catch(e) {
+                    reject(e);
+                    return;
+                }
+
+                resolve();
+            });
+        });
+    }
+
+}
+
+module.exports = ExecutionJournal;
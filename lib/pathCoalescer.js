@@ -0,0 +1,127 @@
+'use strict'
+
+class PathCoalescer {
+
+    /**
+    * Constructor
+    *
+    * Debounces IoEvents per key (i.e. fullPath): events submitted for the same key
+    * within 'windowMS' of each other are collapsed into a single execution of the
+    * latest IoEvent, and every submitter receives that execution's outcome.
+    *
+    * @param config - object containing:
+    *    - 'windowMS' - quiet period, after the latest event for a key, before executing
+    *    - 'maxWaitMS' - optional, max time an event can be held back by a continuous
+    *                    stream of events for its key, defaults to 10 x windowMS
+    * @param executeFunction - function(ioEvent) that returns a Promise fulfilled/rejected w/ a ReactorResult
+    */
+    constructor(config, executeFunction) {
+        this._windowMS = config.windowMS;
+        this._maxWaitMS = (typeof(config.maxWaitMS) == 'number' ? config.maxWaitMS : config.windowMS * 10);
+        this._executeFunction = executeFunction;
+
+        if (typeof(this._windowMS) != 'number' || this._windowMS < 0) {
+            throw new Error("debounce.windowMS must be a number >= 0, got: " + this._windowMS);
+        }
+
+        // key -> {ioEvent, count, firstAt, timer, waiters:[{resolve,reject}]}
+        this._pending = new Map();
+    }
+
+    /**
+    * submit() - submit an IoEvent to be executed once its key's window closes
+    *
+    * @param key - the coalescing key, i.e. ioEvent.fullPath
+    * @param ioEvent - the IoEvent
+    * @return Promise - fulfilled/rejected with the ReactorResult of the single execution of the
+    *                   key's latest IoEvent, the ReactorResult's 'coalescedCount' property
+    *                   holds the number of IoEvents that were collapsed into it
+    */
+    submit(key, ioEvent) {
+        var self = this;
+
+        return new Promise(function(resolve, reject) {
+            var pending = self._pending.get(key);
+
+            if (!pending) {
+                pending = {'count': 0, 'firstAt': Date.now(), 'timer': null, 'waiters': []};
+                self._pending.set(key, pending);
+            } else {
+                clearTimeout(pending.timer);
+            }
+
+            pending.ioEvent = ioEvent;
+            pending.count++;
+            pending.waiters.push({'resolve': resolve, 'reject': reject});
+
+            var delayMS = Math.max(0, Math.min(self._windowMS, (pending.firstAt + self._maxWaitMS) - Date.now()));
+            pending.timer = setTimeout(function() {
+                self._flush(key);
+            }, delayMS);
+        });
+    }
+
+    /**
+    * getPendingCount() - the number of keys w/ IoEvents waiting for their window to close
+    */
+    getPendingCount() {
+        return this._pending.size;
+    }
+
+    /**
+    * flushAll() - immediately executes every pending key, regardless of its window
+    */
+    flushAll() {
+        for (let key of Array.from(this._pending.keys())) {
+            clearTimeout(this._pending.get(key).timer);
+            this._flush(key);
+        }
+    }
+
+    /**
+    * cancelAll() - discards every pending key without executing it
+    *
+    * @param rejectionFunction - function(ioEvent) returning the value to reject each key's submitters w/
+    * @return the number of submissions rejected
+    */
+    cancelAll(rejectionFunction) {
+        var count = 0;
+
+        for (let pending of Array.from(this._pending.values())) {
+            clearTimeout(pending.timer);
+
+            var rejection = rejectionFunction(pending.ioEvent);
+            rejection.coalescedCount = pending.count;
+            for (let waiter of pending.waiters) {
+                waiter.reject(rejection);
+                count++;
+            }
+        }
+
+        this._pending.clear();
+        return count;
+    }
+
+    _flush(key) {
+        var pending = this._pending.get(key);
+        this._pending.delete(key);
+
+        var settle = function(reactorResult, settleFunctionName) {
+            reactorResult.coalescedCount = pending.count;
+            for (let waiter of pending.waiters) {
+                waiter[settleFunctionName](reactorResult);
+            }
+        };
+
+        this._executeFunction(pending.ioEvent)
+            .then(function(reactorResult) {
+                settle(reactorResult, 'resolve');
+
+            }, function(reactorResult) {
+                settle(reactorResult, 'reject');
+            });
+    }
+
+}
+
+module.exports = PathCoalescer;
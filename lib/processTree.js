@@ -0,0 +1,111 @@
+'use strict'
+
+var fs = require('fs');
+var childProcess = require('child_process');
+
+/**
+* Kills a process along w/ every process it started, i.e. a shell and the command it is executing.
+*
+* Killing only the shell would orphan its children, which keep running under init. Shells driven by
+* stateful-process-command-proxy are not process group leaders, so the tree is walked instead.
+*/
+
+/**
+* killTree() - kills a process and all of its descendants
+*
+* @param pid - pid of the root process
+* @param signal - optional, the signal to send, default 'SIGKILL' (ignored on windows, where the tree is force killed)
+* @return array of the pids signalled (on windows just the root pid)
+*/
+function killTree(pid, signal) {
+    if (process.platform == 'win32') {
+        try {
+            childProcess.execFileSync('taskkill', ['/T', '/F', '/PID', String(pid)], {'stdio': 'ignore', 'windowsHide': true});
+        } catch(e) {
+            // already gone
+        }
+        return [pid];
+    }
+
+    // collected before anything is killed, children of a killed process are re-parented
+    var pids = [pid].concat(descendantsOf(pid));
+
+    for (let target of pids) {
+        try {
+            process.kill(target, signal || 'SIGKILL');
+        } catch(e) {
+            // already gone
+        }
+    }
+
+    return pids;
+}
+
+/**
+* descendantsOf() - the pids of every process descending from a process
+*
+* @param pid - pid of the root process
+* @return array of pids, parents before their children
+*/
+function descendantsOf(pid) {
+    var childrenOf = childPidsByParent();
+    var descendants = [];
+
+    var parents = [pid];
+    while (parents.length > 0) {
+        var children = childrenOf.get(parents.shift()) || [];
+        for (let child of children) {
+            if (descendants.indexOf(child) == -1) {
+                descendants.push(child);
+                parents.push(child);
+            }
+        }
+    }
+
+    return descendants;
+}
+
+/**
+* Returns a Map of ppid -> array of child pids for every running process, read from /proc where
+* available and from ps otherwise
+*/
+function childPidsByParent() {
+    var childrenOf = new Map();
+    var add = function(pid, ppid) {
+        if (!childrenOf.has(ppid)) {
+            childrenOf.set(ppid, []);
+        }
+        childrenOf.get(ppid).push(pid);
+    };
+
+    if (fs.existsSync('/proc/self/stat')) {
+        for (let entry of fs.readdirSync('/proc')) {
+            if (!/^\d+$/.test(entry)) {
+                continue;
+            }
+            try {
+                // the command name in parens may contain spaces, the ppid is the 2nd field after it
+                var stat = fs.readFileSync('/proc/' + entry + '/stat', 'utf8');
+                var fields = stat.substring(stat.lastIndexOf(')') + 2).split(' ');
+                add(parseInt(entry, 10), parseInt(fields[1], 10));
+            } catch(e) {
+                // exited while listing
+            }
+        }
+        return childrenOf;
+    }
+
+    var lines = childProcess.execFileSync('ps', ['-A', '-o', 'pid=,ppid='], {'encoding': 'utf8'}).split('\n');
+    for (let line of lines) {
+        var ids = line.trim().split(/\s+/);
+        if (ids.length == 2) {
+            add(parseInt(ids[0], 10), parseInt(ids[1], 10));
+        }
+    }
+    return childrenOf;
+}
+
+module.exports = {
+    killTree: killTree,
+    descendantsOf: descendantsOf
+};
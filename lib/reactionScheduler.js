@@ -0,0 +1,162 @@
+'use strict'
+
+var OVERFLOW_POLICIES = ['rejectNew', 'dropOldest'];
+
+class ReactionScheduler {
+
+    /**
+    * Constructor
+    *
+    * Runs tasks so that tasks sharing a key execute strictly one at a time in the
+    * order they were scheduled, while tasks for different keys run concurrently
+    * up to 'maxConcurrent'. Tasks that cannot start yet wait in a FIFO queue.
+    *
+    * @param config - object containing:
+    *    - 'maxConcurrent' - optional, max tasks in flight across all keys, default unlimited
+    *    - 'maxQueued' - optional, max tasks waiting to start, default unlimited
+    *    - 'overflowPolicy' - optional, what to do when a task is scheduled while the queue is full:
+    *                          'rejectNew' (default) - the new task is rejected
+    *                          'dropOldest' - the oldest waiting task is rejected and the new one queued
+    */
+    constructor(config) {
+        this._maxConcurrent = (typeof(config.maxConcurrent) == 'number' ? config.maxConcurrent : Infinity);
+        this._maxQueued = (typeof(config.maxQueued) == 'number' ? config.maxQueued : Infinity);
+        this._overflowPolicy = config.overflowPolicy || 'rejectNew';
+
+        if (this._maxConcurrent < 1) {
+            throw new Error("scheduler.maxConcurrent must be >= 1, got: " + this._maxConcurrent);
+        }
+
+        if (this._maxQueued < 0) {
+            throw new Error("scheduler.maxQueued must be >= 0, got: " + this._maxQueued);
+        }
+
+        if (OVERFLOW_POLICIES.indexOf(this._overflowPolicy) == -1) {
+            throw new Error("scheduler.overflowPolicy must be one of " + OVERFLOW_POLICIES.join(', ') + ", got: " + this._overflowPolicy);
+        }
+
+        this._queue = [];
+        this._activeKeys = new Set();
+        this._inFlight = 0;
+    }
+
+    /**
+    * schedule() - schedules a task
+    *
+    * @param key - tasks w/ the same key run one at a time in scheduling order
+    * @param taskFunction - function() that returns a Promise, invoked when the task starts
+    * @return Promise - settles as the task's Promise does. If the task was rejected due to
+    *                   the queue overflowing, rejects with an Error whose 'overflow' property is true
+    */
+    schedule(key, taskFunction) {
+        var self = this;
+
+        return new Promise(function(resolve, reject) {
+            var task = {'key': key, 'taskFunction': taskFunction, 'resolve': resolve, 'reject': reject};
+
+            // can it start right away? (nothing queued ahead of it that it would overtake)
+            if (self._queue.length == 0 && self._canStart(task)) {
+                self._start(task);
+                return;
+            }
+
+            if (self._queue.length >= self._maxQueued) {
+                if (self._overflowPolicy == 'rejectNew' || self._queue.length == 0) {
+                    reject(overflowError("queue is full (maxQueued:" + self._maxQueued + "), rejecting new task for: " + key));
+                    return;
+                }
+
+                var dropped = self._queue.shift();
+                dropped.reject(overflowError("queue is full (maxQueued:" + self._maxQueued + "), dropped oldest task for: " + dropped.key));
+            }
+
+            self._queue.push(task);
+            self._pump();
+        });
+    }
+
+    /**
+    * cancelQueued() - rejects every task waiting to start, tasks in flight are unaffected
+    *
+    * @param error - the error to reject the tasks w/
+    * @return the number of tasks rejected
+    */
+    cancelQueued(error) {
+        var queued = this._queue;
+        this._queue = [];
+
+        for (let task of queued) {
+            task.reject(error);
+        }
+
+        return queued.length;
+    }
+
+    /**
+    * getStatus() - point in time counts for monitoring
+    *
+    * @return object {queued:N, inFlight:N}
+    */
+    getStatus() {
+        return {'queued': this._queue.length, 'inFlight': this._inFlight};
+    }
+
+    _canStart(task) {
+        return this._inFlight < this._maxConcurrent && !this._activeKeys.has(task.key);
+    }
+
+    _start(task) {
+        var self = this;
+
+        this._inFlight++;
+        this._activeKeys.add(task.key);
+
+        var finished = function() {
+            self._inFlight--;
+            self._activeKeys.delete(task.key);
+            self._pump();
+        };
+
+        var taskPromise;
+        try {
+            taskPromise = Promise.resolve(task.taskFunction());
+        } catch(e) {
+            taskPromise = Promise.reject(e);
+        }
+
+        taskPromise.then(function(result) {
+            finished();
+            task.resolve(result);
+
+        }, function(error) {
+            finished();
+            task.reject(error);
+        });
+    }
+
+    /**
+    * Starts queued tasks, in order, while capacity allows. A task whose key is
+    * busy is skipped (and so are later tasks for that key) without blocking other keys.
+    */
+    _pump() {
+        var i = 0;
+        while (i < this._queue.length && this._inFlight < this._maxConcurrent) {
+            var task = this._queue[i];
+            if (this._canStart(task)) {
+                this._queue.splice(i, 1);
+                this._start(task);
+            } else {
+                i++;
+            }
+        }
+    }
+
+}
+
+function overflowError(message) {
+    var error = new Error(message);
+    error.overflow = true;
+    return error;
+}
+
+module.exports = ReactionScheduler;
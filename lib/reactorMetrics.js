@@ -0,0 +1,174 @@
+'use strict'
+
+// upper bounds (seconds) of the command duration histogram buckets
+var DURATION_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+var PREFIX = 'shell_exec_reactor_';
+
+class ReactorMetrics {
+
+    /**
+    * Constructor
+    *
+    * Counters and histograms describing what a ShellExecReactorPlugin has done
+    *
+    * @param reactorId - id of the IoReactor the plugin is bound to, used as a label
+    * @param pluginId - id of the plugin, used as a label
+    */
+    constructor(reactorId, pluginId) {
+        this._labels = {'reactor_id': reactorId, 'plugin_id': pluginId};
+
+        // eventType -> count
+        this._reactionsStarted = {};
+        this._reactionsSucceeded = {};
+        this._reactionsFailed = {};
+
+        this._commandsExecuted = 0;
+        this._commandDuration = {'count': 0, 'sum': 0, 'buckets': DURATION_BUCKETS.map(function() { return 0; })};
+
+        this._renderErrors = 0;
+        this._generatorErrors = 0;
+        this._policyViolations = 0;
+    }
+
+    reactionStarted(eventType) {
+        increment(this._reactionsStarted, eventType);
+    }
+
+    reactionSucceeded(eventType) {
+        increment(this._reactionsSucceeded, eventType);
+    }
+
+    reactionFailed(eventType) {
+        increment(this._reactionsFailed, eventType);
+    }
+
+    /**
+    * commandExecuted() - records a command that ran to completion
+    *
+    * @param durationMs - how long the command took
+    */
+    commandExecuted(durationMs) {
+        var seconds = durationMs / 1000;
+
+        this._commandsExecuted++;
+        this._commandDuration.count++;
+        this._commandDuration.sum += seconds;
+
+        for (let i = 0; i < DURATION_BUCKETS.length; i++) {
+            if (seconds <= DURATION_BUCKETS[i]) {
+                this._commandDuration.buckets[i]++;
+            }
+        }
+    }
+
+    renderError() {
+        this._renderErrors++;
+    }
+
+    generatorError() {
+        this._generatorErrors++;
+    }
+
+    policyViolation() {
+        this._policyViolations++;
+    }
+
+    /**
+    * toObject() - the metrics as a plain object
+    *
+    * @return object {reactions:{started, succeeded, failed}, commands:{executed, durationSeconds}, errors:{render, generator, policy}}
+    *         reaction counts are objects keyed by eventType, durationSeconds is {count, sum, buckets}
+    *         where buckets is an array of cumulative (like prometheus) {le:upperBound, count} ending w/ '+Inf'
+    */
+    toObject() {
+        var buckets = [];
+        for (let i = 0; i < DURATION_BUCKETS.length; i++) {
+            buckets.push({'le': DURATION_BUCKETS[i], 'count': this._commandDuration.buckets[i]});
+        }
+        buckets.push({'le': '+Inf', 'count': this._commandDuration.count});
+
+        return {
+            'reactions': {
+                'started': Object.assign({}, this._reactionsStarted),
+                'succeeded': Object.assign({}, this._reactionsSucceeded),
+                'failed': Object.assign({}, this._reactionsFailed)
+            },
+            'commands': {
+                'executed': this._commandsExecuted,
+                'durationSeconds': {
+                    'count': this._commandDuration.count,
+                    'sum': this._commandDuration.sum,
+                    'buckets': buckets
+                }
+            },
+            'errors': {
+                'render': this._renderErrors,
+                'generator': this._generatorErrors,
+                'policy': this._policyViolations
+            }
+        };
+    }
+
+    /**
+    * toPrometheus() - the metrics in prometheus text exposition format
+    *
+    * @return string
+    */
+    toPrometheus() {
+        var self = this;
+        var lines = [];
+
+        var byEventType = function(name, help, counts) {
+            lines.push('# HELP ' + PREFIX + name + ' ' + help);
+            lines.push('# TYPE ' + PREFIX + name + ' counter');
+            for (let eventType of Object.keys(counts)) {
+                lines.push(PREFIX + name + self._formatLabels({'event_type': eventType}) + ' ' + counts[eventType]);
+            }
+        };
+
+        var counter = function(name, help, value) {
+            lines.push('# HELP ' + PREFIX + name + ' ' + help);
+            lines.push('# TYPE ' + PREFIX + name + ' counter');
+            lines.push(PREFIX + name + self._formatLabels({}) + ' ' + value);
+        };
+
+        byEventType('reactions_started_total', 'Reactions started, by IoEvent eventType', this._reactionsStarted);
+        byEventType('reactions_succeeded_total', 'Reactions that succeeded, by IoEvent eventType', this._reactionsSucceeded);
+        byEventType('reactions_failed_total', 'Reactions that failed, by IoEvent eventType', this._reactionsFailed);
+
+        counter('commands_executed_total', 'Commands executed to completion', this._commandsExecuted);
+
+        var histogram = PREFIX + 'command_duration_seconds';
+        lines.push('# HELP ' + histogram + ' Command execution latency');
+        lines.push('# TYPE ' + histogram + ' histogram');
+        for (let i = 0; i < DURATION_BUCKETS.length; i++) {
+            lines.push(histogram + '_bucket' + this._formatLabels({'le': String(DURATION_BUCKETS[i])}) + ' ' + this._commandDuration.buckets[i]);
+        }
+        lines.push(histogram + '_bucket' + this._formatLabels({'le': '+Inf'}) + ' ' + this._commandDuration.count);
+        lines.push(histogram + '_sum' + this._formatLabels({}) + ' ' + this._commandDuration.sum);
+        lines.push(histogram + '_count' + this._formatLabels({}) + ' ' + this._commandDuration.count);
+
+        counter('render_errors_total', 'commandTemplates that failed to render', this._renderErrors);
+        counter('generator_errors_total', 'commandGenerator invocations that threw or rejected', this._generatorErrors);
+        counter('policy_violations_total', 'Commands that violated the commandPolicy', this._policyViolations);
+
+        return lines.join('\n') + '\n';
+    }
+
+    _formatLabels(extraLabels) {
+        var labels = Object.assign({}, this._labels, extraLabels);
+        var pairs = Object.keys(labels).map(function(name) {
+            var value = String(labels[name]).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+            return name + '="' + value + '"';
+        });
+        return '{' + pairs.join(',') + '}';
+    }
+
+}
+
+function increment(counts, key) {
+    counts[key] = (counts[key] || 0) + 1;
+}
+
+module.exports = ReactorMetrics;
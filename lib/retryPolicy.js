@@ -0,0 +1,91 @@
+'use strict'
+
+// the kinds of failures a reaction can be retried for, see ReactorResult.failureType
+var FAILURE_TYPES = ['render', 'generator', 'command', 'output', 'execution', 'timeout'];
+
+class RetryPolicy {
+
+    /**
+    * Constructor
+    *
+    * Decides if/when a failed reaction should be attempted again
+    *
+    * @param config - object containing:
+    *
+    *    - 'maxAttempts' - optional, total number of attempts including the first one, default 3
+    *    - 'initialDelayMS' - optional, delay before the first retry, default 1000
+    *    - 'maxDelayMS' - optional, upper bound for any delay, default 30000
+    *    - 'multiplier' - optional, exponential backoff multiplier applied per retry, default 2
+    *    - 'jitter' - optional, 0-1 fraction of each delay that is randomized, default 0.2
+    *    - 'retryOn' - optional, array of failure types that are retryable, default ['command','execution']
+    *                  (any of 'render', 'generator', 'command', 'output', 'execution', 'timeout')
+    *                  OR a function(reactorResult, attempt) that returns true if the failure is retryable
+    */
+    constructor(config) {
+        this._maxAttempts = numberOrDefault(config.maxAttempts, 3);
+        this._initialDelayMS = numberOrDefault(config.initialDelayMS, 1000);
+        this._maxDelayMS = numberOrDefault(config.maxDelayMS, 30000);
+        this._multiplier = numberOrDefault(config.multiplier, 2);
+        this._jitter = numberOrDefault(config.jitter, 0.2);
+        this._retryOn = config.retryOn || ['command', 'execution'];
+
+        if (this._maxAttempts < 1) {
+            throw new Error("retry.maxAttempts must be >= 1, got: " + this._maxAttempts);
+        }
+
+        if (this._jitter < 0 || this._jitter > 1) {
+            throw new Error("retry.jitter must be between 0 and 1, got: " + this._jitter);
+        }
+
+        if (typeof(this._retryOn) != 'function') {
+            if (!Array.isArray(this._retryOn)) {
+                throw new Error("retry.retryOn must be an array of failure types or a function");
+            }
+            for (let failureType of this._retryOn) {
+                if (FAILURE_TYPES.indexOf(failureType) == -1) {
+                    throw new Error("retry.retryOn failure types must be one of " + FAILURE_TYPES.join(', ') + ", got: " + failureType);
+                }
+            }
+        }
+    }
+
+    /**
+    * shouldRetry() - determines if a failed attempt should be retried
+    *
+    * @param reactorResult - the failed ReactorResult
+    * @param attempt - the number of the attempt that just failed, starting at 1
+    * @return true if another attempt should be made
+    */
+    shouldRetry(reactorResult, attempt) {
+        if (attempt >= this._maxAttempts) {
+            return false;
+        }
+
+        if (typeof(this._retryOn) == 'function') {
+            return !!this._retryOn(reactorResult, attempt);
+        }
+
+        return this._retryOn.indexOf(reactorResult.failureType) != -1;
+    }
+
+    /**
+    * getDelayMS() - computes the backoff delay before the next attempt
+    *
+    * @param attempt - the number of the attempt that just failed, starting at 1
+    * @return delay in milliseconds
+    */
+    getDelayMS(attempt) {
+        var delay = Math.min(this._initialDelayMS * Math.pow(this._multiplier, attempt - 1), this._maxDelayMS);
+
+        // randomize the jitter fraction of the delay, so retries across events spread out
+        var jitterMS = delay * this._jitter;
+        return Math.round(Math.min(delay - jitterMS + (Math.random() * jitterMS * 2), this._maxDelayMS));
+    }
+
+}
+
+function numberOrDefault(value, defaultValue) {
+    return (typeof(value) == 'number' ? value : defaultValue);
+}
+
+module.exports = RetryPolicy;
@@ -0,0 +1,310 @@
+'use strict'
+
+/**
+* Shell dialect helpers used by ShellExecReactorPlugin
+*
+* Everything the plugin needs to know about the syntax of the shell
+* the StatefulProcessCommandProxy is driving lives here, keyed by dialect:
+*
+*    - 'posix' - bash, sh, ksh, zsh etc
+*    - 'powershell' - powershell.exe / pwsh
+*/
+
+var EXIT_CODE_MARKER = '__SHELL_EXEC_EXIT_CODE__';
+
+var EXIT_CODE_REGEX = new RegExp('(?:^|\\r?\\n)' + EXIT_CODE_MARKER + ':(-?\\d+)\\s*$');
+
+/**
+* resolveShell() - determines the shell dialect for a plugin configuration
+*
+* @param pluginConfig - the ShellExecReactorPlugin config, an explicit 'shell' property wins,
+*                       otherwise the statefulProcessCommandProxy.config.processCommand is inspected
+* @return 'posix' or 'powershell'
+*/
+function resolveShell(pluginConfig) {
+
+    if (pluginConfig.shell) {
+        if (pluginConfig.shell != 'posix' && pluginConfig.shell != 'powershell') {
+            throw new Error("pluginConfig.shell must be one of 'posix' or 'powershell', got: " + pluginConfig.shell);
+        }
+        return pluginConfig.shell;
+    }
+
+    var proxyConf = pluginConfig.statefulProcessCommandProxy;
+    if (proxyConf && proxyConf.config && proxyConf.config.processCommand &&
+        /(powershell|pwsh)(\.exe)?$/i.test(proxyConf.config.processCommand)) {
+        return 'powershell';
+    }
+
+    return 'posix';
+}
+
+/**
+* wrapWithExitCode() - appends a statement to the command that echos its exit code to stdout
+*
+* The exit code marker is always preceded by a newline, so it starts on its own line even if
+* the command's stdout does not end w/ one, see parseExitCode()
+*
+* @param shell - 'posix' or 'powershell'
+* @param command - the raw command string
+* @param commandId - optional unique id appended as a comment, so this exact invocation
+*                    can be identified in the StatefulProcessCommandProxy's status
+* @param envVars - optional object of environment variable names to values, exported before
+*                  the command and removed again after it (once its exit code is captured) so
+*                  they do not leak into later commands executed by the same shell process
+* @return the command to actually send to the shell
+*/
+function wrapWithExitCode(shell, command, commandId, envVars) {
+    var comment = (commandId ? ' # ' + commandId : '');
+    var names = (envVars ? Object.keys(envVars) : []);
+
+    var exports = names.map(function(name) {
+        return (shell == 'powershell' ? '$env:' + name + ' = ' : 'export ' + name + '=') + quote(shell, envVars[name]);
+    });
+
+    if (shell == 'powershell') {
+        var removal = (names.length > 0 ? 'Remove-Item ' + names.map(function(name) { return 'Env:' + name; }).join(', ') + ' -ErrorAction SilentlyContinue; ' : '');
+
+        return (exports.length > 0 ? exports.join('; ') + '\n' : '') +
+            command + '\n' +
+            '$__shellExecOk = $?; ' +
+            '$__shellExecCode = $(if ($__shellExecOk) { 0 } elseif ($LASTEXITCODE) { $LASTEXITCODE } else { 1 }); ' +
+            removal +
+            'Write-Output "`n' + EXIT_CODE_MARKER + ':$__shellExecCode"' + comment;
+    }
+
+    if (names.length == 0) {
+        return command + '\n' + "printf '\\n%s:%d\\n' " + EXIT_CODE_MARKER + ' "$?"' + comment;
+    }
+
+    return exports.join('; ') + '\n' +
+        command + '\n' +
+        '__shellExecCode=$?; unset ' + names.join(' ') + "; printf '\\n%s:%d\\n' " + EXIT_CODE_MARKER + ' "$__shellExecCode"; unset __shellExecCode' + comment;
+}
+
+/**
+* ioEventEnvVars() - the environment variables describing an IoEvent
+*
+* IO_EVENT_FULLPATH, IO_EVENT_TYPE, IO_EVENT_FILENAME, IO_EVENT_PARENTPATH, IO_EVENT_PARENTNAME,
+* IO_EVENT_UUID and, if the IoEvent has optionalFsStats, one IO_EVENT_STATS_<NAME> per stat
+* (i.e. mtimeMs -> IO_EVENT_STATS_MTIME_MS), Dates as ISO 8601 strings. Missing values are omitted.
+*
+* @param ioEvent - the IoEvent
+* @return object of environment variable names to string values
+*/
+function ioEventEnvVars(ioEvent) {
+    var envVars = {};
+
+    var set = function(name, value) {
+        if (value === null || typeof(value) == 'undefined' || (typeof(value) == 'object' && !(value instanceof Date))) {
+            return;
+        }
+        envVars[name] = (value instanceof Date ? value.toISOString() : String(value));
+    };
+
+    set('IO_EVENT_FULLPATH', ioEvent.fullPath);
+    set('IO_EVENT_TYPE', ioEvent.eventType);
+    set('IO_EVENT_FILENAME', ioEvent.filename);
+    set('IO_EVENT_PARENTPATH', ioEvent.parentPath);
+    set('IO_EVENT_PARENTNAME', ioEvent.parentName);
+    set('IO_EVENT_UUID', ioEvent.uuid);
+
+    var stats = ioEvent.optionalFsStats;
+    if (stats && typeof(stats) == 'object') {
+        for (let name of Object.keys(stats)) {
+            if (typeof(stats[name]) != 'function') {
+                set('IO_EVENT_STATS_' + name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase(), stats[name]);
+            }
+        }
+    }
+
+    return envVars;
+}
+
+/**
+* parseExitCode() - extracts the exit code echo'd by wrapWithExitCode() from stdout
+*
+* @param stdout - stdout of a wrapped command
+* @return object {stdout: stdout w/ the marker (and the newline preceding it) removed, exitCode: number or null if not found}
+*/
+function parseExitCode(stdout) {
+    if (!stdout) {
+        return {'stdout': stdout, 'exitCode': null};
+    }
+
+    var match = EXIT_CODE_REGEX.exec(stdout);
+    if (!match) {
+        return {'stdout': stdout, 'exitCode': null};
+    }
+
+    return {'stdout': stdout.substring(0, match.index).trim(),
+            'exitCode': parseInt(match[1], 10)};
+}
+
+/**
+* quote() - quotes a value so the given shell treats it as a single literal argument
+*
+* @param shell - 'posix' or 'powershell'
+* @param value - the value to quote, will be converted to a string
+* @return the quoted string
+*/
+function quote(shell, value) {
+    var str = String(value);
+
+    if (shell == 'powershell') {
+        // powershell treats the unicode single quotes like ' as well, double them all up
+        return "'" + str.replace(/['\u2018\u2019\u201A\u201B]/g, function(q) { return q + q; }) + "'";
+    }
+
+    return "'" + str.replace(/'/g, "'\\''") + "'";
+}
+
+/**
+* quotedPlaceholders() - finds the mustache placeholders of a command template that are within quotes or a comment
+*
+* A value quote()'d into double quotes keeps its single quotes as literal characters, so the shell still
+* expands any $(...), `...` or $variables within it, and one quote()'d into single quotes ends up unquoted.
+* One within a comment is not quoted at all, a newline in it ends the comment. Quotes within a comment are
+* just text.
+*
+* @param shell - 'posix' or 'powershell'
+* @param template - mustache template string
+* @return array of the names (i.e. 'ioEvent.fullPath') of the {{...}}, {{{...}}} and {{&...}} placeholders
+*         within single or double quotes or a comment, in order
+*/
+function quotedPlaceholders(shell, template) {
+    var escapeChar = (shell == 'powershell' ? '`' : '\\');
+    var names = [];
+    var quote = null;
+    var comment = null; // the string ending the comment the template is in
+
+    for (let i = 0; i < template.length; i++) {
+        var c = template[i];
+
+        if (c == '{' && template[i+1] == '{') {
+            var tag = /^\{\{(\{?)\s*([&#^\/!>]?)\s*([^}\s]*)\s*\}?\}\}/.exec(template.substring(i));
+            if (tag) {
+                if ((quote || comment) && (tag[2] == '' || tag[2] == '&')) {
+                    names.push(tag[3]);
+                }
+                i += tag[0].length - 1;
+                continue;
+            }
+        }
+
+        if (comment) {
+            if (template.substr(i, comment.length) == comment) {
+                i += comment.length - 1;
+                comment = null;
+            }
+            continue;
+        }
+
+        if (c == escapeChar && quote != "'") {
+            i++;
+            continue;
+        }
+
+        if (!quote) {
+            comment = commentAt(shell, template, i);
+            if (comment) {
+                continue;
+            }
+        }
+
+        if (quote) {
+            if (c == quote) {
+                quote = null;
+            }
+
+        } else if (c == "'" || c == '"') {
+            quote = c;
+        }
+    }
+
+    return names;
+}
+
+/**
+* commentAt() - whether an unquoted position of a command starts a comment, a '#' at the start of a word
+* (or in powershell a '<#' block comment)
+*
+* @param shell - 'posix' or 'powershell'
+* @param command - the command string
+* @param i - index of the (unquoted, unescaped) character
+* @return null if no comment starts there, otherwise the string that ends the comment
+*/
+function commentAt(shell, command, i) {
+    if (shell == 'powershell' && command[i] == '<' && command[i+1] == '#') {
+        return '#>';
+    }
+
+    if (command[i] == '#' && (i == 0 || /[\s;&|()<>{}]/.test(command[i-1]))) {
+        return '\n';
+    }
+
+    return null;
+}
+
+/**
+* argvToString() - an argv array as a posix command line, for display (logs, ReactorResults, commandPolicy checks)
+*
+* @param argv - array of strings
+* @return the elements joined by spaces, those w/ anything but safe characters quote()'d for posix
+*/
+function argvToString(argv) {
+    return argv.map(function(arg) {
+        return (/^[A-Za-z0-9_\/.,:=+@%-]+$/.test(arg) ? arg : quote('posix', arg));
+    }).join(' ');
+}
+
+/**
+* quoteValues() - returns a copy of the given object where every
+*                 string (and Date) value, at any depth, has been quote()'d
+*
+* @param shell - 'posix' or 'powershell'
+* @param obj - object to copy, i.e. an IoEvent
+* @param keys - optional array of property names to copy in addition to obj's own enumerable properties
+* @return the copy
+*/
+function quoteValues(shell, obj, keys) {
+    if (obj === null || typeof(obj) == 'undefined') {
+        return obj;
+    }
+
+    if (typeof(obj) == 'string' || obj instanceof Date) {
+        return quote(shell, obj);
+    }
+
+    if (Array.isArray(obj)) {
+        return obj.map(function(item) {
+            return quoteValues(shell, item);
+        });
+    }
+
+    if (typeof(obj) == 'object') {
+        var copy = {};
+        var allKeys = Object.keys(obj).concat(keys || []);
+        for (let key of allKeys) {
+            if (typeof(obj[key]) != 'function') {
+                copy[key] = quoteValues(shell, obj[key]);
+            }
+        }
+        return copy;
+    }
+
+    // numbers, booleans are safe as is
+    return obj;
+}
+
+module.exports = {
+    resolveShell: resolveShell,
+    wrapWithExitCode: wrapWithExitCode,
+    ioEventEnvVars: ioEventEnvVars,
+    parseExitCode: parseExitCode,
+    quote: quote,
+    quotedPlaceholders: quotedPlaceholders,
+    commentAt: commentAt,
+    argvToString: argvToString,
+    quoteValues: quoteValues
+};
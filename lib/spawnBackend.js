@@ -0,0 +1,73 @@
+'use strict'
+
+var childProcess = require('child_process');
+
+/**
+* Shell-free execution backend used by ShellExecReactorPlugin when configured w/ backend: 'spawn'
+*
+* Every command is its own child process spawned directly from its argv, so nothing is
+* parsed by a shell and no state carries over from one command (or IoEvent) to the next.
+*/
+
+/**
+* spawnCommand() - spawns a command spec's argv as a child process
+*
+* @param commandSpec - command spec w/ 'argv' and optionally 'cwd' and 'env' (merged over process.env)
+* @param envVars - optional object of additional environment variables, i.e. the IO_EVENT_* ones
+* @return object {execution, kill}:
+*           - 'execution' - Promise fulfilled w/ {stdout, stderr, exitCode, signal} once the process exits,
+*                           if it was killed by a signal exitCode is null and signal its name (i.e. 'SIGKILL'),
+*                           otherwise signal is null. On reject the spawn error (i.e. ENOENT)
+*           - 'kill' - function() that kills the process, if it is still running
+*/
+function spawnCommand(commandSpec, envVars) {
+    var child = null;
+
+    var execution = new Promise(function(resolve, reject) {
+        var options = {
+            'cwd': commandSpec.cwd,
+            'env': Object.assign({}, process.env, envVars || {}, commandSpec.env || {}),
+            'shell': false,
+            'stdio': ['ignore', 'pipe', 'pipe'],
+            'windowsHide': true
+        };
+
+        child = childProcess.spawn(commandSpec.argv[0], commandSpec.argv.slice(1), options);
+
+        var stdout = '';
+        var stderr = '';
+        child.stdout.setEncoding('utf8');
+        child.stderr.setEncoding('utf8');
+        child.stdout.on('data', function(data) { stdout += data; });
+        child.stderr.on('data', function(data) { stderr += data; });
+
+        child.on('error', function(err) {
+            reject(err);
+        });
+
+        child.on('close', function(code, signal) {
+            resolve({
+                'stdout': stdout.trim(),
+                'stderr': stderr,
+                'exitCode': (typeof(code) == 'number' ? code : null),
+                'signal': signal || null
+            });
+        });
+    });
+
+    var kill = function() {
+        if (child && child.exitCode === null && child.signalCode === null) {
+            try {
+                child.kill('SIGKILL');
+            } catch(e) {
+                // already gone
+            }
+        }
+    };
+
+    return {'execution': execution, 'kill': kill};
+}
+
+module.exports = {
+    spawnCommand: spawnCommand
+};
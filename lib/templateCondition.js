@@ -0,0 +1,142 @@
+'use strict'
+
+var path = require('path');
+
+var CONDITIONS = ['eventTypes', 'extensions', 'minSize', 'maxSize', 'modifiedWithinMS', 'modifiedBeforeMS', 'extraInfo'];
+
+class TemplateCondition {
+
+    /**
+    * Constructor
+    *
+    * A declarative predicate over an IoEvent deciding whether a commandTemplates entry applies to it.
+    * Every configured condition must hold for the predicate to be true.
+    *
+    * @param when - object containing any of:
+    *    - 'eventTypes' - array of eventTypes, ioEvent.eventType must be one of them
+    *    - 'extensions' - array of filename extensions (case insensitive, w/ or w/out the leading '.'),
+    *                     ioEvent.filename must have one of them
+    *    - 'minSize' - optionalFsStats.size must be >= this many bytes
+    *    - 'maxSize' - optionalFsStats.size must be <= this many bytes
+    *    - 'modifiedWithinMS' - optionalFsStats.mtime must be within this many ms of now
+    *    - 'modifiedBeforeMS' - optionalFsStats.mtime must be at least this many ms before now
+    *    - 'extraInfo' - object of property paths (i.e. 'flags.archive') to the value optionalExtraInfo
+    *                    must have at that path
+    *    Conditions on fs stats or extraInfo are false for IoEvents that lack them.
+    */
+    constructor(when) {
+        if (when == null || typeof(when) != 'object' || Array.isArray(when)) {
+            throw new Error("commandTemplates 'when' must be an object, got: " + JSON.stringify(when));
+        }
+
+        for (let name of Object.keys(when)) {
+            if (CONDITIONS.indexOf(name) == -1) {
+                throw new Error("commandTemplates 'when' has unknown condition: " + name + ", must be any of " + CONDITIONS.join(', '));
+            }
+        }
+
+        for (let name of ['eventTypes', 'extensions']) {
+            if (typeof(when[name]) != 'undefined' && !Array.isArray(when[name])) {
+                throw new Error("commandTemplates 'when." + name + "' must be an array");
+            }
+        }
+
+        for (let name of ['minSize', 'maxSize', 'modifiedWithinMS', 'modifiedBeforeMS']) {
+            if (typeof(when[name]) != 'undefined' && typeof(when[name]) != 'number') {
+                throw new Error("commandTemplates 'when." + name + "' must be a number, got: " + when[name]);
+            }
+        }
+
+        if (typeof(when.extraInfo) != 'undefined' && (when.extraInfo == null || typeof(when.extraInfo) != 'object')) {
+            throw new Error("commandTemplates 'when.extraInfo' must be an object of property paths to values");
+        }
+
+        this._when = when;
+        this._extensions = (when.extensions ? when.extensions.map(normalizeExtension) : null);
+    }
+
+    /**
+    * check() - evaluates the predicate against an IoEvent
+    *
+    * @param ioEvent - the IoEvent
+    * @return null if the predicate is true, otherwise a string describing the condition that is not met
+    */
+    check(ioEvent) {
+        var when = this._when;
+        var stats = ioEvent.optionalFsStats;
+
+        if (when.eventTypes && when.eventTypes.indexOf(ioEvent.eventType) == -1) {
+            return "eventTypes (" + ioEvent.eventType + " is not one of " + when.eventTypes.join(', ') + ")";
+        }
+
+        if (this._extensions) {
+            var extension = normalizeExtension(path.extname(ioEvent.filename || ''));
+            if (this._extensions.indexOf(extension) == -1) {
+                return "extensions (" + ioEvent.filename + " does not have one of " + this._extensions.join(', ') + ")";
+            }
+        }
+
+        if (typeof(when.minSize) == 'number' || typeof(when.maxSize) == 'number') {
+            var size = (stats ? stats.size : undefined);
+
+            if (typeof(size) != 'number') {
+                return "minSize/maxSize (no optionalFsStats.size)";
+            }
+            if (typeof(when.minSize) == 'number' && size < when.minSize) {
+                return "minSize (size " + size + " < " + when.minSize + ")";
+            }
+            if (typeof(when.maxSize) == 'number' && size > when.maxSize) {
+                return "maxSize (size " + size + " > " + when.maxSize + ")";
+            }
+        }
+
+        if (typeof(when.modifiedWithinMS) == 'number' || typeof(when.modifiedBeforeMS) == 'number') {
+            var mtime = (stats && stats.mtime ? new Date(stats.mtime).getTime() : NaN);
+
+            if (isNaN(mtime)) {
+                return "modifiedWithinMS/modifiedBeforeMS (no optionalFsStats.mtime)";
+            }
+
+            var ageMS = Date.now() - mtime;
+            if (typeof(when.modifiedWithinMS) == 'number' && ageMS > when.modifiedWithinMS) {
+                return "modifiedWithinMS (modified " + ageMS + "ms ago)";
+            }
+            if (typeof(when.modifiedBeforeMS) == 'number' && ageMS < when.modifiedBeforeMS) {
+                return "modifiedBeforeMS (modified " + ageMS + "ms ago)";
+            }
+        }
+
+        if (when.extraInfo) {
+            for (let propertyPath of Object.keys(when.extraInfo)) {
+                var value = valueAt(ioEvent.optionalExtraInfo, propertyPath);
+                if (value !== when.extraInfo[propertyPath]) {
+                    return "extraInfo (" + propertyPath + " is " + JSON.stringify(value) + ", not " + JSON.stringify(when.extraInfo[propertyPath]) + ")";
+                }
+            }
+        }
+
+        return null;
+    }
+
+}
+
+function normalizeExtension(extension) {
+    extension = String(extension).toLowerCase();
+    return (extension.length > 0 && extension[0] != '.' ? '.' + extension : extension);
+}
+
+/**
+* Returns the value at a dotted property path within an object, undefined if any part is missing
+*/
+function valueAt(obj, propertyPath) {
+    var value = obj;
+    for (let name of propertyPath.split('.')) {
+        if (value == null || typeof(value) != 'object') {
+            return undefined;
+        }
+        value = value[name];
+    }
+    return value;
+}
+
+module.exports = TemplateCondition;
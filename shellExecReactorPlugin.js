@@ -2,6 +2,18 @@
 
 var IoEvent = require('io-event-reactor-plugin-support').IoEvent;
 var ReactorResult = require('io-event-reactor-plugin-support').ReactorResult;
+var shells = require('./lib/shells');
+var CommandRouter = require('./lib/commandRouter');
+var RetryPolicy = require('./lib/retryPolicy');
+var DeadLetterQueue = require('./lib/deadLetterQueue');
+var PathCoalescer = require('./lib/pathCoalescer');
+var ReactionScheduler = require('./lib/reactionScheduler');
+var ReactorMetrics = require('./lib/reactorMetrics');
+var CommandPolicy = require('./lib/commandPolicy');
+var TemplateCondition = require('./lib/templateCondition');
+var ExecutionJournal = require('./lib/executionJournal');
+var spawnBackend = require('./lib/spawnBackend');
+var processTree = require('./lib/processTree');
 
 var util = require('util');
 var StatefulProcessCommandProxy = require('stateful-process-command-proxy');
@@ -9,6 +21,19 @@ var Mustache = require('mustache');
 var fs = require('fs');
 var path = require('path');
 
+var FAILURE_POLICIES = ['nonZeroExit', 'stderr', 'never'];
+
+var TEMPLATE_ESCAPING_MODES = ['shell', 'none'];
+
+// how commands are executed, see 'backend'
+var BACKENDS = ['proxy', 'spawn'];
+
+// how a command's stdout can be parsed, see parseOutput()
+var OUTPUT_MODES = ['text', 'json', 'lines'];
+
+// IoEvent properties made available to templates
+var IO_EVENT_PROPERTIES = ['uuid', 'eventType', 'fullPath', 'parentPath', 'parentName', 'filename', 'optionalFsStats', 'optionalExtraInfo'];
+
 class ShellExecReactorPlugin {
 
     /**
@@ -31,12 +56,34 @@ class ShellExecReactorPlugin {
     *
     *            - 'instance' - a pre-existing StatefulProcessCommandProxy instance to re-use
     *
+    *      OR a map of pool names to objects that each contain ONE of 'config' or 'instance' and optionally
+    *      their own 'shell' dialect, i.e. {bash:{config:{...}}, restricted:{config:{...}, shell:'posix'}}.
+    *      Commands execute on the pool named by their 'pool' property (see 'commandTemplates') or the
+    *      'defaultPool'. Pools built from a 'config' are shut down together by shutdown().
+    *
+    *    - 'defaultPool' - optional, name of the pool commands w/out a 'pool' execute on, defaults to the first pool
+    *
+    *    - 'backend' - optional, how commands are executed:
+    *                    - 'proxy' (default) - as shell statements via the statefulProcessCommandProxy
+    *                    - 'spawn' - each command is spawned directly as its own process from an argv array, no shell is
+    *                                involved and 'statefulProcessCommandProxy' is not needed. Every commandTemplates entry
+    *                                must then be an object {argv:['convert','{{ioEvent.fullPath}}',...], cwd:'...', env:{...}}
+    *                                whose argv elements, cwd and env values are each rendered separately and NOT quoted.
+    *                                commandGenerator commands must likewise be {argv, cwd, env} objects. See lib/spawnBackend.js
     *
     *    - AND one or both of the following
     *
     *       - 'commandTemplates' - an array of mustache (https://github.com/janl/mustache.js) template strings that will be executed
     *                              in order using stateful-process-command-proxy when this plugin's react() is invoked.
     *
+    *                             Each entry may also be an object {template:'...', timeoutMS:N, output:'text|json|lines', failOnParseError:bool, when:{...}, pool:'name'}
+    *                             where 'when' is an optional predicate over the IoEvent, the entry is skipped if it is false,
+    *                             see lib/templateCondition.js for its conditions
+    *
+    *                             OR the routed form, an object w/ 'mode' ('firstMatch' or 'allMatches') and an array of 'routes'
+    *                             that each map 'eventTypes' and/or 'fullPath'/'filename' glob/RegExp patterns to their
+    *                             own 'commandTemplates' array, see lib/commandRouter.js
+    *
     *                             Supported mustache template variables that will be made available to you: (a full IoEvent)
     *                               - see https://github.com/bitsofinfo/io-event-reactor-plugin-support for IoEvent definition
     *                               - ioEvent.uuid
@@ -51,8 +98,92 @@ class ShellExecReactorPlugin {
     *       - 'commandGenerator' - callback function(ioEvent) that must
     *                              return an array[] of command string literals that will be executed in order using
     *                              stateful-process-command-proxy when this plugin's react() is invoked.
+    *                              May also return a Promise fulfilled w/ that array (i.e. be an async function),
+    *                              a rejection fails the reaction. Each command may also be an object
+    *                              {command:'...', timeoutMS:N, output:'text|json|lines', failOnParseError:bool, pool:'name'}
+    *
+    *    - optional:
+    *
+    *       - 'failurePolicy' - when a reaction's commands are considered failed, one of:
+    *                             - 'nonZeroExit' (default) - any command exits with a non-zero exit code
+    *                                                         or its exit code could not be determined
+    *                             - 'stderr' - any command exits non-zero OR writes anything to stderr
+    *                             - 'never' - commands never fail the reaction (only errors executing them do)
+    *                           commands execute in order and the first failing command stops the reaction
+    *
+    *       - 'templateEscaping' - how ioEvent values are inserted into 'commandTemplates', one of:
+    *                             - 'shell' (default) - every ioEvent value is quoted for the configured 'shell' so that it
+    *                                                   is always a single literal argument, for both {{...}} and {{{...}}}.
+    *                                                   The raw values are still available to templates as {{{rawIoEvent.xxx}}}.
+    *                                                   Templates w/ ioEvent (or failure) placeholders within quotes or a
+    *                                                   comment are rejected
+    *                             - 'none' - standard mustache rendering, values are inserted as is (HTML escaped for {{...}})
+    *
+    *       - 'retry' - retry policy for failed reactions, see lib/retryPolicy.js, object containing:
+    *                     'maxAttempts', 'initialDelayMS', 'maxDelayMS', 'multiplier', 'jitter' and 'retryOn'
+    *
+    *       - 'deadLetter' - object containing 'path': a JSONL file that reactions failing their final attempt
+    *                        are appended to (ioEvent, rendered commands, error), see replayDeadLetters()
+    *
+    *       - 'debounce' - coalesces event storms per ioEvent.fullPath, object containing:
+    *                        - 'windowMS' - IoEvents for the same fullPath arriving within this window of each other
+    *                                       collapse into one reaction to the latest IoEvent, every collapsed react()
+    *                                       Promise settles w/ that reaction's shared ReactorResult
+    *                        - 'maxWaitMS' - optional, max time a continuous stream of IoEvents for one fullPath
+    *                                        can delay its reaction, default 10 x windowMS
+    *
+    *       - 'scheduler' - reactions sharing a key (default ioEvent.fullPath) always execute one at a time in arrival
+    *                       order, this optional object configures that, see lib/reactionScheduler.js:
+    *                        - 'key' - ioEvent property name or function(ioEvent) returning the ordering key
+    *                        - 'maxConcurrent' - max reactions in flight across all keys, default unlimited
+    *                        - 'maxQueued' - max reactions waiting to start, default unlimited
+    *                        - 'overflowPolicy' - 'rejectNew' (default) or 'dropOldest', the rejected reaction
+    *                                             fails w/ a failureType of 'overflow'
     *
+    *       - 'reactionTimeoutMS' - max time each attempt at a reaction may take to execute its commands, the command
+    *                               executing when it expires is abandoned and its shell process recycled.
+    *                               Individual commands can also have their own timeout: 'commandTemplates' entries
+    *                               can be an object {template:'...', timeoutMS:N} and commandGenerator can return
+    *                               {command:'...', timeoutMS:N} objects. A timeout fails w/ a failureType of 'timeout'
     *
+    *       - 'onResult' - optional callback function(ioEvent, commandResults, reactorResult) invoked w/ the final result
+    *                      of every reaction, successful or not, before react()'s Promise settles. May return a Promise.
+    *                      Commands can have their stdout parsed for it by giving their 'commandTemplates' entry (or
+    *                      commandGenerator object) an 'output' mode: 'text', 'json' or 'lines'. The parsed value is the
+    *                      command result's 'output', if parsing fails 'outputError' says why and, if the command
+    *                      also has 'failOnParseError: true', the reaction fails w/ a failureType of 'output'
+    *
+    *       - 'commandPolicy' - checked against every command of a reaction before any of them execute, a violation
+    *                           fails the reaction w/ a failureType of 'policy'. Object containing any of:
+    *                           'allow' and 'deny' arrays of RegExps and an 'allowedExecutables' array, see lib/commandPolicy.js
+    *
+    *       - 'onFailureTemplates' - array of templates (strings or {template, timeoutMS, pool, output} objects) executed
+    *                                after an attempt's commands fail, i.e. to compensate for what the commands before the
+    *                                failing one already did. Rendered w/ the ioEvent and a 'failure' view of
+    *                                {failureType, message, command, exitCode, stdout, stderr} (raw as 'rawFailure')
+    *
+    *       - 'finallyTemplates' - array of templates executed after every attempt's commands (and any onFailureTemplates),
+    *                              whether they succeeded or not, rendered like onFailureTemplates ('failure' is only set on failure)
+    *
+    *       - 'onFailureGenerator', 'finallyGenerator' - the commandGenerator counterparts, function(ioEvent, failure) returning
+    *                              (or a Promise fulfilled w/) an array of commands, their commands follow those of the templates.
+    *                              Neither phase runs for attempts whose commands never started executing (render, generator,
+    *                              policy failures) or that were cancelled, and neither changes the attempt's outcome. Their
+    *                              commands are subject to the commandPolicy, see 'onFailure' and 'finally' on the ReactorResult
+    *
+    *       - 'journal' - an append only JSONL audit trail of every reaction: {path, maxSizeBytes, maxFiles}, each
+    *                     record holds the timestamp, ioEvent, commands, commandResults and outcome. Rotated by size,
+    *                     see lib/executionJournal.js and bin/shell-exec-journal.js to filter and replay it
+    *
+    *       - 'ioEventEnv' - if true, the IoEvent is exported as environment variables (IO_EVENT_FULLPATH, IO_EVENT_TYPE,
+    *                        IO_EVENT_FILENAME, IO_EVENT_PARENTPATH, IO_EVENT_PARENTNAME, IO_EVENT_UUID and IO_EVENT_STATS_*)
+    *                        in the syntax of the 'shell' before every command, and cleared after it, see shells.ioEventEnvVars()
+    *
+    *       - 'dryRun' - if true, react() renders/generates every command but does NOT execute them, resolving
+    *                    w/ a ReactorResult whose 'commands' lists what would have been executed
+    *
+    *       - 'shell' - the dialect of the shell being driven: 'posix' or 'powershell'. Defaults to 'powershell'
+    *                   if statefulProcessCommandProxy.config.processCommand is powershell/pwsh, otherwise 'posix'
     *
     */
     constructor(pluginId,
@@ -69,29 +200,154 @@ class ShellExecReactorPlugin {
             this._errorCallback = errorCallback;
             this._initializedCallback = initializedCallback;
 
-            // is statefulProcessCommandProxy.config present? construct a new one
-            if (typeof(pluginConfig.statefulProcessCommandProxy.config) != 'undefined' &&
-                pluginConfig.statefulProcessCommandProxy.config != null) {
+            this._metrics = new ReactorMetrics(reactorId, pluginId);
+
+            // set to the error if the pluginConfig is invalid, every reaction is then rejected, see react()
+            this._configError = null;
+
+            // reactions currently executing, see cancelAll()
+            this._activeReactions = new Set();
+
+            // settled versions of every reaction not yet settled, see shutdown()
+            this._pendingReactions = new Set();
+            this._shuttingDown = false;
+
+            // replaced below, per the backend
+            this._pools = new Map();
+
+            this._backend = pluginConfig.backend || 'proxy';
+            if (BACKENDS.indexOf(this._backend) == -1) {
+                throw new Error("pluginConfig.backend must be one of " + BACKENDS.join(', ') + ", got: " + this._backend);
+            }
+
+            if (this._backend == 'spawn') {
+                // commands are spawned directly, there are no shells to pool
+                this._pools = new Map();
+                this._shell = shells.resolveShell({'shell': pluginConfig.shell});
+
+                if (pluginConfig.statefulProcessCommandProxy) {
+                    this._log('warn',"backend is 'spawn', the configured statefulProcessCommandProxy is not used");
+                }
+
+            } else {
+                // name -> {name, shell, config, instance, proxy, ownsProxy}, the proxies are constructed further below
+                this._pools = toPools(pluginConfig);
+                this._defaultPool = pluginConfig.defaultPool || this._pools.keys().next().value;
+                if (!this._pools.has(this._defaultPool)) {
+                    throw new Error("pluginConfig.defaultPool must name one of the statefulProcessCommandProxy pools: " + Array.from(this._pools.keys()).join(', '));
+                }
+
+                // dialect of the default pool
+                this._shell = this._pools.get(this._defaultPool).shell;
+            }
+
+            this._templateEscaping = pluginConfig.templateEscaping || 'shell';
+            if (TEMPLATE_ESCAPING_MODES.indexOf(this._templateEscaping) == -1) {
+                throw new Error("pluginConfig.templateEscaping must be one of " + TEMPLATE_ESCAPING_MODES.join(', ') + ", got: " + this._templateEscaping);
+            }
+
+            this._failurePolicy = pluginConfig.failurePolicy || 'nonZeroExit';
+            if (FAILURE_POLICIES.indexOf(this._failurePolicy) == -1) {
+                throw new Error("pluginConfig.failurePolicy must be one of " + FAILURE_POLICIES.join(', ') + ", got: " + this._failurePolicy);
+            }
+
+            if (pluginConfig.retry) {
+                this._retryPolicy = new RetryPolicy(pluginConfig.retry);
+            }
+
+            if (pluginConfig.deadLetter) {
+                this._deadLetterQueue = new DeadLetterQueue(pluginConfig.deadLetter.path);
+
+                // ReactorResults _deadLetter() wrote to the file, see replayDeadLetters()
+                this._deadLetteredResults = new WeakSet();
+            }
+
+            if (pluginConfig.journal) {
+                this._executionJournal = new ExecutionJournal(pluginConfig.journal);
+            }
+
+            if (pluginConfig.commandPolicy) {
+                this._commandPolicy = new CommandPolicy(pluginConfig.commandPolicy, this._shell);
+            }
+
+            if (typeof(pluginConfig.onResult) != 'undefined' && typeof(pluginConfig.onResult) != 'function') {
+                throw new Error("pluginConfig.onResult must be a function(ioEvent, commandResults, reactorResult)");
+            }
+            this._onResult = pluginConfig.onResult;
+
+            // onFailure/finally commands, see _executeCleanup()
+            for (let name of ['onFailureTemplates', 'finallyTemplates']) {
+                if (typeof(pluginConfig[name]) == 'undefined' || pluginConfig[name] == null) {
+                    continue;
+                }
+                if (!Array.isArray(pluginConfig[name])) {
+                    throw new Error("pluginConfig." + name + " must be an array of templates");
+                }
+                for (let templateEntry of pluginConfig[name]) {
+                    this._validateTemplateEntry(templateEntry, "pluginConfig." + name);
+                }
+            }
+            for (let name of ['onFailureGenerator', 'finallyGenerator']) {
+                if (typeof(pluginConfig[name]) != 'undefined' && typeof(pluginConfig[name]) != 'function') {
+                    throw new Error("pluginConfig." + name + " must be a function(ioEvent, failure)");
+                }
+            }
+            this._onFailureTemplates = pluginConfig.onFailureTemplates;
+            this._finallyTemplates = pluginConfig.finallyTemplates;
+            this._onFailureGenerator = pluginConfig.onFailureGenerator;
+            this._finallyGenerator = pluginConfig.finallyGenerator;
+
+            this._ioEventEnv = (pluginConfig.ioEventEnv === true);
+
+            this._dryRun = (pluginConfig.dryRun === true);
+            if (this._dryRun) {
+                this._log('warn',"dryRun is enabled, commands will be rendered but NOT executed");
+            }
+
+            this._reactionTimeoutMS = pluginConfig.reactionTimeoutMS;
+            if (typeof(this._reactionTimeoutMS) != 'undefined' && (typeof(this._reactionTimeoutMS) != 'number' || this._reactionTimeoutMS <= 0)) {
+                throw new Error("pluginConfig.reactionTimeoutMS must be a number > 0, got: " + this._reactionTimeoutMS);
+            }
+
+            var schedulerConfig = pluginConfig.scheduler || {};
+            this._reactionScheduler = new ReactionScheduler(schedulerConfig);
+            this._schedulerKey = schedulerConfig.key || 'fullPath';
+            if (typeof(this._schedulerKey) != 'string' && typeof(this._schedulerKey) != 'function') {
+                throw new Error("pluginConfig.scheduler.key must be an ioEvent property name or a function(ioEvent)");
+            }
+
+            if (pluginConfig.debounce) {
+                // ReactorResults of the reactions cancelAll() cancelled while debouncing -> Promise of their _finishReaction()
+                this._debounceCancellations = new WeakMap();
+
+                this._pathCoalescer = new PathCoalescer(pluginConfig.debounce, (function(ioEvent) {
+                    return this._scheduleReaction(ioEvent, null);
+                }).bind(this));
+            }
+
+            // construct the StatefulProcessCommandProxy of every pool w/ a 'config', use the 'instance' of the others
+            for (let pool of this._pools.values()) {
+                if (pool.instance) {
+                    pool.proxy = pool.instance;
+                    pool.ownsProxy = false;
+                    continue;
+                }
 
-                // process and build the StatefulProcessCommandProxy
-                // that all commands will process
                 try {
-                    // construct
-                    this._statefulProcessCommandProxy = new StatefulProcessCommandProxy(pluginConfig.statefulProcessCommandProxy.config);
+                    pool.proxy = new StatefulProcessCommandProxy(pool.config);
+
+                    // we created it, so shutdown() must shut it down
+                    pool.ownsProxy = true;
                 } catch(e) {
-                    var errMsg = this.__proto__.constructor.name +"["+this._reactorId+"]["+this.getId()+"] error constructing StatefulProcessCommandProxy: " + e;
+                    var errMsg = this.__proto__.constructor.name +"["+this._reactorId+"]["+this.getId()+"] error constructing StatefulProcessCommandProxy for pool["+pool.name+"]: " + e;
                     this._log('error',errMsg);
                     this._onError(errMsg,e);
                 }
+            }
 
-            // is statefulProcessCommandProxy.instance present? just set our instance to it
-            } else if (typeof(pluginConfig.statefulProcessCommandProxy.instance) != 'undefined' &&
-                          pluginConfig.statefulProcessCommandProxy.instance != null) {
-
-                this._statefulProcessCommandProxy = pluginConfig.statefulProcessCommandProxy.instance;
-
-            } else {
-                throw new Error("pluginConfig.statefulProcessCommandProxy must contain either 'instance' or 'config'");
+            // the default pool's proxy
+            if (this._defaultPool) {
+                this._statefulProcessCommandProxy = this._pools.get(this._defaultPool).proxy;
             }
 
 
@@ -99,33 +355,47 @@ class ShellExecReactorPlugin {
             if (typeof(pluginConfig.commandGenerator) == 'function') {
                 this._commandGenerator = pluginConfig.commandGenerator;
 
-                // test/validate it
-                try {
-                    // validate all templates (we will use the stat object from this file itself)
-                    fs.stat(__filename, (function(err,stats) {
+                // test/validate it (we will use the stat object from this file itself)
+                fs.stat(__filename, (function(err,stats) {
 
-                        if (err) {
-                            throw err;
-                        }
+                    if (err) {
+                        var errMsg = this.__proto__.constructor.name +"["+this._reactorId+"]["+this.getId()+"] error pre-processing commandGenerator: " + err;
+                        this._log('error',errMsg);
+                        this._onError(errMsg,err);
+                        return;
+                    }
 
-                        var ioEvent = new IoEvent('testEventType','/test/full/path/tothing.zip', stats);
+                    var ioEvent = new IoEvent('testEventType','/test/full/path/tothing.zip', stats);
 
-                        var output = this._commandGenerator(ioEvent);
-                        this._log('info',"commandGenerator() function returned test command to exec: " + output);
+                    this._generateCommands(ioEvent)
+                        .then((function(output) {
+                            this._log('info',"commandGenerator() function returned test command to exec: " + output);
 
-                    }).bind(this));
-                } catch(e) {
-                    var errMsg = this.__proto__.constructor.name +"["+this._reactorId+"]["+this.getId()+"] error pre-processing commandGenerator: " + e;
-                    this._log('error',errMsg);
-                    this._onError(errMsg,e);
-                }
+                        }).bind(this)).catch((function(e) {
+                            var errMsg = this.__proto__.constructor.name +"["+this._reactorId+"]["+this.getId()+"] error pre-processing commandGenerator: " + e;
+                            this._log('error',errMsg);
+                            this._onError(errMsg,e);
+                        }).bind(this));
+
+                }).bind(this));
             }
 
 
             // Handle 'commandTemplates', pre-test them all
             if (typeof(pluginConfig.commandTemplates) != 'undefined' && pluginConfig.commandTemplates != null) {
                 try {
-                    this._commandTemplates = pluginConfig.commandTemplates;
+                    var commandRouter = new CommandRouter(pluginConfig.commandTemplates);
+
+                    // templateEntry -> TemplateCondition, for entries w/ a 'when' predicate
+                    this._templateConditions = new Map();
+                    for (let templateEntry of commandRouter.getAllTemplates()) {
+                        if (typeof(templateEntry) == 'object' && typeof(templateEntry.when) != 'undefined') {
+                            this._templateConditions.set(templateEntry, new TemplateCondition(templateEntry.when));
+                        }
+                        this._validateTemplateEntry(templateEntry, "commandTemplates");
+                    }
+
+                    this._commandRouter = commandRouter;
 
                     // validate all templates (we will use the stat object from this file itself)
                     fs.stat(__filename, (function(err,stats) {
@@ -136,11 +406,12 @@ class ShellExecReactorPlugin {
 
                         var ioEvent = new IoEvent('testEventType','/test/full/path/tothing', stats);
 
-                        for (let template of this._commandTemplates) {
+                        for (let templateEntry of this._commandRouter.getAllTemplates()) {
+                            var template = templateOf(templateEntry);
                             try {
-                                var output = Mustache.render(template,{'ioEvent':ioEvent});
+                                var output = this._renderEntry(templateEntry,ioEvent);
 
-                                this._log('info',"commandTemplate["+template+"] rendered to: " + output);
+                                this._log('info',"commandTemplate["+template+"] rendered to: " + (output ? output.command : output));
 
                             } catch(e) {
                                 var errMsg = this.__proto__.constructor.name +"["+this._reactorId+"]["+this.getId()+"] error pre-testing Mustache commandTemplate["+template+"]: " + e;
@@ -149,6 +420,8 @@ class ShellExecReactorPlugin {
                         }
                     }).bind(this));
                 } catch(e) {
+                    this._configError = e;
+
                     var errMsg = this.__proto__.constructor.name +"["+this._reactorId+"]["+this.getId()+"] error pre-processing Mustache commandTemplates: " + e;
                     this._log('error',errMsg);
                     this._onError(errMsg,e);
@@ -160,6 +433,8 @@ class ShellExecReactorPlugin {
 
 
         } catch(e) {
+            this._configError = e;
+
             var errMsg = this.__proto__.constructor.name +"["+this._reactorId+"]["+this.getId()+"] unexpected error: " + e;
             this._log('error',errMsg);
             this._onError(errMsg,e);
@@ -182,88 +457,1565 @@ class ShellExecReactorPlugin {
     * This function is required on ReactorPlugin implementations
     *
     * @param ioEvent - IoEvent object to react to
-    * @return Promise - when fulfilled/rejected a ReactorResult object, on error the ReactorResult will contain the error
+    * @return Promise - when fulfilled/rejected a ReactorResult object, on error the ReactorResult will contain the error.
+    *                   The ReactorResult also has the following properties:
+    *                     - 'commands' - array of the rendered/generated commands for the reaction
+    *                     - 'commandResults' - array of {command, stdout, stderr, exitCode, durationMs} for every
+    *                                          command that was executed, plus 'output' and 'outputError' for
+    *                                          commands w/ an 'output' mode
+    *                     - 'attempts' - number of attempts made (see 'retry')
+    *                     - 'failureType' - on failure, one of 'render', 'generator', 'policy', 'command', 'output',
+    *                                       'execution', 'timeout', 'cancelled', 'overflow' or 'shutdown'. Every
+    *                                       reaction of a plugin w/ an invalid pluginConfig fails w/ 'render'
+    *                     - 'policyViolation' - on a 'policy' failure, {command, rule} (see 'commandPolicy')
+    *                     - 'skippedTemplates' - array of {template, when, reason} for commandTemplates entries
+    *                                            skipped because their 'when' predicate was false
+    *                     - 'onFailure', 'finally' - {commands, commandResults, error} of the onFailure/finally commands
+    *                                                of the last attempt, if configured and executed
+    *                     - 'coalescedCount' - number of IoEvents collapsed into this reaction (see 'debounce')
+    *                     - 'dryRun' - true if the commands were not executed (see 'dryRun')
     *
     */
     react(ioEvent) {
         var self = this;
 
-        return new Promise(function(resolve, reject) {
+        this._log('info',"REACT["+this.getId()+"]() invoked: " + ioEvent.eventType + " for: " + ioEvent.fullPath);
 
-            self._log('info',"REACT["+self.getId()+"]() invoked: " + ioEvent.eventType + " for: " + ioEvent.fullPath);
+        this._metrics.reactionStarted(ioEvent.eventType);
 
-            var commandsToExec = [];
+        if (this._shuttingDown) {
+            this._log('warn',"REACT["+this.getId()+"]() rejected, plugin is shut down: " + ioEvent.eventType + " for: " + ioEvent.fullPath);
+            return this._recordOutcome(ioEvent, this._rejectReaction(this._newReactorResult(false,ioEvent,"Plugin is shut down, not accepting reactions", null,
+                                                                                             {'commands': [], 'commandResults': [], 'failureType': 'shutdown'})));
+        }
 
-            /**
-            * #1 Collect commands to exec from Command templates....
-            */
-            if (self._commandTemplates && self._commandTemplates.length > 0) {
+        // a plugin w/ an invalid config must not look like it is doing its job
+        if (this._configError) {
+            this._log('error',"REACT["+this.getId()+"]() rejected, invalid pluginConfig: " + this._configError + " for: " + ioEvent.fullPath);
+            return this._recordOutcome(ioEvent, this._rejectReaction(this._newConfigErrorResult(ioEvent)));
+        }
 
-                // for each template, render it and push on to list of commands to exec
-                for (let template of self._commandTemplates) {
-                    try {
-                        var commandToExec = Mustache.render(template,{'ioEvent':ioEvent});
-                        if (commandToExec) {
-                            commandsToExec.push(commandToExec);
-                        }
-                    } catch(e) {
-                        reject(new ReactorResult(false,self.getId(),self._reactorId,ioEvent,"Error generating command from mustache template: " + template + " " +  e, e));
+        if (this._pathCoalescer) {
+            var coalesced = this._pathCoalescer.submit(ioEvent.fullPath, ioEvent)
+                .catch(function(reactorResult) {
+                    // cancelled while debouncing, settle once it is journaled and onResult has completed
+                    var finishing = self._debounceCancellations.get(reactorResult);
+                    if (!finishing) {
+                        throw reactorResult;
                     }
+                    return finishing.then(function() {
+                        throw reactorResult;
+                    });
+                });
+
+            return this._trackPending(this._recordOutcome(ioEvent, coalesced));
+        }
+
+        return this._trackPending(this._recordOutcome(ioEvent, this._scheduleReaction(ioEvent, null)));
+    }
+
+    /**
+    * getMetrics() - counters and histograms describing what this plugin has done:
+    *
+    *    - reactions started, succeeded and failed, by eventType
+    *    - commands executed and command latency
+    *    - commandTemplates render errors and commandGenerator errors
+    *
+    * @param format - optional, 'object' (default) or 'prometheus'
+    * @return a plain object (see lib/reactorMetrics.js) or, for 'prometheus', a string in
+    *         prometheus text exposition format suitable for appending to a /metrics endpoint
+    */
+    getMetrics(format) {
+        if (format == 'prometheus') {
+            return this._metrics.toPrometheus();
+        }
+
+        if (typeof(format) != 'undefined' && format != 'object') {
+            throw new Error("getMetrics() format must be 'object' or 'prometheus', got: " + format);
+        }
+
+        return this._metrics.toObject();
+    }
+
+    /**
+    * shutdown() - stops accepting reactions, drains pending ones and shuts down the StatefulProcessCommandProxy
+    *
+    * Once invoked react() rejects w/ a failureType of 'shutdown'. IoEvents waiting on their debounce window
+    * are reacted to immediately, then queued and in-flight reactions are given up to 'drainTimeoutMS' to
+    * complete, whatever remains after that is cancelAll()'d. Finally the StatefulProcessCommandProxy is shut down,
+    * but only if this plugin constructed it from statefulProcessCommandProxy.config, an 'instance' is left running.
+    *
+    * @param drainTimeoutMS - optional, max time to wait for pending reactions to complete, default 30000
+    * @return Promise - fulfilled when shut down, on reject the error shutting down the StatefulProcessCommandProxy
+    */
+    shutdown(drainTimeoutMS) {
+        var self = this;
+
+        if (this._shutdownPromise) {
+            return this._shutdownPromise;
+        }
+
+        drainTimeoutMS = (typeof(drainTimeoutMS) == 'number' ? drainTimeoutMS : 30000);
+
+        this._shuttingDown = true;
+        this._log('info',"shutdown() invoked, draining " + this._pendingReactions.size + " pending reactions, drainTimeoutMS:" + drainTimeoutMS);
+
+        if (this._pathCoalescer) {
+            this._pathCoalescer.flushAll();
+        }
+
+        var timer = null;
+        var drainTimeout = new Promise(function(resolve) {
+            timer = setTimeout(function() {
+                resolve(false);
+            }, drainTimeoutMS);
+        });
+
+        var drained = Promise.all(Array.from(this._pendingReactions)).then(function() {
+            return true;
+        });
+
+        this._shutdownPromise = Promise.race([drained, drainTimeout])
+            .then(function(fullyDrained) {
+                clearTimeout(timer);
+
+                if (!fullyDrained) {
+                    self._log('warn',"shutdown() drainTimeoutMS:" + drainTimeoutMS + " expired, cancelling remaining reactions");
+                    self.cancelAll('plugin shutdown');
                 }
-            }
 
-            /**
-            * #2 Collection commands to exec from Command generator function
-            */
-            if (self._commandGenerator && typeof(self._commandGenerator) == 'function') {
+                // provided instances are left running, they are owned by whoever provided them
+                var ownedPools = Array.from(self._pools.values()).filter(function(pool) {
+                    return pool.ownsProxy;
+                });
 
-                try {
-                    // generate
-                    var generatedCmds = self._commandGenerator(ioEvent);
+                return Promise.all(ownedPools.map(function(pool) {
+                        return pool.proxy.shutdown();
 
-                    // concatenate them
-                    if (generatedCmds && generatedCmds.length > 0) {
-                        commandsToExec = commandsToExec.concat(generatedCmds);
-                    }
+                    })).then(function() {
+                        self._log('info',"shutdown() complete, " + ownedPools.length + " of " + self._pools.size + " StatefulProcessCommandProxy pools shut down");
+                    });
+            });
 
-                } catch(e) {
-                    reject(new ReactorResult(false,self.getId(),self._reactorId,ioEvent,"Error generating command from command generator function: " + e, e));
+        return this._shutdownPromise;
+    }
+
+    /**
+    * cancelAll() - cancels every pending reaction
+    *
+    * Reactions waiting to be debounced or scheduled never execute, reactions executing
+    * have their current command abandoned (its shell process is recycled) and the rest skipped,
+    * reactions waiting to be retried are not retried. All of them fail w/ a failureType of 'cancelled'
+    * and are not dead-lettered.
+    *
+    * @param reason - optional reason included in the ReactorResult message
+    * @return the number of reactions cancelled
+    */
+    cancelAll(reason) {
+        var self = this;
+        var error = reactionError('cancelled', "Reaction cancelled" + (reason ? ": " + reason : ""));
+        var count = 0;
+
+        this._log('warn',"cancelAll() invoked" + (reason ? ": " + reason : ""));
+
+        if (this._pathCoalescer) {
+            count += this._pathCoalescer.cancelAll(function(ioEvent) {
+                var reactorResult = self._newReactorResult(false,ioEvent,error.message,error,
+                                                           {'commands': [], 'commandResults': [], 'failureType': 'cancelled'});
+
+                // once for all the IoEvents coalesced into it, like the reaction it replaces would have been
+                self._debounceCancellations.set(reactorResult, self._finishReaction(reactorResult));
+                return reactorResult;
+            });
+        }
+
+        // queued first, so finishing in-flight reactions do not start them
+        count += this._reactionScheduler.cancelQueued(error);
+
+        for (let reaction of Array.from(this._activeReactions)) {
+            reaction.cancel(error);
+            count++;
+        }
+
+        return count;
+    }
+
+    /**
+    * getQueueStatus() - point in time reaction queue depths, for monitoring
+    *
+    * @return object containing:
+    *            - 'queued' - reactions waiting for their key to be free or for a concurrency slot
+    *            - 'inFlight' - reactions currently executing (including waiting on retry backoff)
+    *            - 'debouncing' - paths w/ IoEvents waiting for their debounce window to close
+    */
+    getQueueStatus() {
+        var status = this._reactionScheduler.getStatus();
+        status.debouncing = (this._pathCoalescer ? this._pathCoalescer.getPendingCount() : 0);
+        return status;
+    }
+
+    /**
+    * replay() - re-runs a previously recorded reaction, i.e. a journal or dead-letter entry
+    *
+    * The entry's recorded commands are executed again (or if none were recorded, or 'rerender' is true,
+    * the recorded ioEvent is reacted to again w/ this plugin's templates/generator) subject to the
+    * 'scheduler' and 'retry' policy, like any other reaction.
+    *
+    * @param entry - object w/ the 'ioEvent' and optionally the 'commands' to execute
+    * @param rerender - optional, if true the recorded 'commands' are ignored
+    * @return Promise - fulfilled/rejected w/ a ReactorResult
+    */
+    replay(entry, rerender) {
+        var ioEvent = entry.ioEvent;
+
+        this._metrics.reactionStarted(ioEvent.eventType);
+
+        if (this._shuttingDown) {
+            return this._recordOutcome(ioEvent, this._rejectReaction(this._newReactorResult(false,ioEvent,"Plugin is shut down, not accepting reactions", null,
+                                                                                             {'commands': [], 'commandResults': [], 'failureType': 'shutdown'})));
+        }
+
+        if (this._configError) {
+            return this._recordOutcome(ioEvent, this._rejectReaction(this._newConfigErrorResult(ioEvent)));
+        }
+
+        var commands = (!rerender && entry.commands && entry.commands.length > 0 ? entry.commands : null);
+
+        this._log('info',"replay() of: " + ioEvent.eventType + " for: " + ioEvent.fullPath + (commands ? " w/ " + commands.length + " recorded commands" : ""));
+
+        return this._trackPending(this._recordOutcome(ioEvent, this._scheduleReaction(ioEvent, commands)));
+    }
+
+    /**
+    * replayDeadLetters() - re-runs every reaction recorded in the dead-letter file
+    *
+    * Each entry's recorded commands are executed again (or if none were recorded, the
+    * recorded ioEvent is reacted to again) subject to the 'retry' policy. Entries that
+    * fail again are written back to the dead-letter file. The taken entries are only
+    * removed once all of them have settled, if the process exits before that (or they
+    * cannot be removed) the next replayDeadLetters() replays them again. Lines of the file
+    * that cannot be parsed are moved to a <path>.corrupt file and reported via onError.
+    *
+    * @return Promise - fulfilled with an object {replayed:N, succeeded:N, failed:N, corrupt:N, reactorResults:[]},
+    *                   on reject an error if the dead-letter file could not be read
+    */
+    replayDeadLetters() {
+        var self = this;
+
+        if (!this._deadLetterQueue) {
+            return Promise.reject(new Error("replayDeadLetters() requires pluginConfig.deadLetter to be configured"));
+        }
+
+        if (this._shuttingDown) {
+            return Promise.reject(new Error("replayDeadLetters() cannot be invoked, plugin is shut down"));
+        }
+
+        if (this._configError) {
+            return Promise.reject(new Error("replayDeadLetters() cannot be invoked, invalid pluginConfig: " + this._configError.message));
+        }
+
+        var replay = this._deadLetterQueue.take()
+            .then(function(taken) {
+                var entries = taken.entries;
+
+                var summary = {'replayed': entries.length, 'succeeded': 0, 'failed': 0, 'corrupt': taken.corrupt, 'reactorResults': []};
+
+                if (taken.corrupt > 0) {
+                    var corruptMsg = self.__proto__.constructor.name +"["+self._reactorId+"]["+self.getId()+"] skipped " + taken.corrupt +
+                        " unparsable dead-letter lines, moved to: " + self._deadLetterQueue.getCorruptPath();
+                    self._log('error',corruptMsg);
+                    self._onError(corruptMsg,new Error(corruptMsg));
                 }
-            }
 
-            /**
-            * #3 Exec all commands!
-            */
-            self._statefulProcessCommandProxy.executeCommands(commandsToExec)
-                .then(function(cmdResultsArray) {
+                // failed entries that were not written back to the dead-letter file, i.e. cancelled ones
+                var notDeadLettered = [];
 
-                    for (let result of cmdResultsArray) {
-                        self._log('info',"CmdResult: cmd: " + result.command + " stdout:" + result.stdout + " stderr:" + result.stderr);
-                    }
-                    resolve(new ReactorResult(true,self.getId(),self._reactorId,ioEvent,"Executed commands successfully"));
+                self._log('info',"replayDeadLetters() replaying " + entries.length + " dead-lettered reactions from: " + self._deadLetterQueue.getPath());
 
-                }).catch(function(error) {
-                    reject(new ReactorResult(false,self.getId(),self._reactorId,ioEvent,"Error executing commands: " + error, error));
+                // replay one at a time, in the order they were dead-lettered
+                return entries.reduce(function(previous, entry) {
+                    return previous.then(function() {
+                        var commands = (entry.commands && entry.commands.length > 0 ? entry.commands : null);
+
+                        self._metrics.reactionStarted(entry.ioEvent.eventType);
+
+                        return self._recordOutcome(entry.ioEvent, self._scheduleReaction(entry.ioEvent, commands))
+                            .then(function(reactorResult) {
+                                summary.succeeded++;
+                                summary.reactorResults.push(reactorResult);
+
+                            }, function(reactorResult) {
+                                summary.failed++;
+                                summary.reactorResults.push(reactorResult);
+
+                                if (!self._deadLetteredResults.has(reactorResult)) {
+                                    notDeadLettered.push(entry);
+                                }
+                            });
+                    });
+
+                }, Promise.resolve()).then(function() {
+                    return notDeadLettered.reduce(function(previous, entry) {
+                        return previous.then(function() {
+                            return self._deadLetterQueue.add(entry);
+                        });
+                    }, Promise.resolve());
+
+                }).then(function() {
+                    // every entry has now either succeeded or is back in the dead-letter file
+                    return self._deadLetterQueue.complete(taken.takenPaths);
+
+                }).then(function() {
+                    return summary;
+
+                }, function(e) {
+                    // the taken files remain, the next replayDeadLetters() picks them up again
+                    self._deadLetterQueue.release(taken.takenPaths);
+
+                    var errMsg = self.__proto__.constructor.name +"["+self._reactorId+"]["+self.getId()+"] error settling replayed dead-letter files: " + taken.takenPaths.join(', ') + " " + e;
+                    self._log('error',errMsg);
+                    self._onError(errMsg,e);
+
+                    return summary;
                 });
+            });
+
+        return this._trackPending(replay);
+    }
+
+    /**
+    * _recordOutcome() - records the outcome of a react(), replay() or replayed dead letter in the metrics
+    *
+    * @param ioEvent - the IoEvent reacted to
+    * @param reactionPromise - Promise of a ReactorResult
+    * @return the same reactionPromise
+    */
+    _recordOutcome(ioEvent, reactionPromise) {
+        var self = this;
+
+        reactionPromise.then(function() {
+            self._metrics.reactionSucceeded(ioEvent.eventType);
 
+        }, function() {
+            self._metrics.reactionFailed(ioEvent.eventType);
         });
+
+        return reactionPromise;
     }
 
     /**
-    *  Helper log function
-    *  will set origin = this class' name
+    * _trackPending() - tracks a reaction's Promise until it settles, so shutdown() can wait for it
+    *
+    * @param reactionPromise - Promise of a ReactorResult
+    * @return the same reactionPromise
     */
-    _log(severity,message) {
-        this._logFunction(severity,(this.__proto__.constructor.name + '[' + this._reactorId + ']['+this.getId()+']'),message);
+    _trackPending(reactionPromise) {
+        var self = this;
+
+        // a settled version, so shutdown() can Promise.all() them regardless of outcome
+        var settled = reactionPromise.then(function() {}, function() {});
+
+        this._pendingReactions.add(settled);
+        settled.then(function() {
+            self._pendingReactions.delete(settled);
+        });
+
+        return reactionPromise;
     }
 
     /**
-    *  Helper error function
+    * _scheduleReaction() - queues the reaction on the ReactionScheduler so that reactions
+    * sharing a scheduler key execute in arrival order, within the concurrency limit
+    *
+    * @param ioEvent - IoEvent object to react to
+    * @param commands - optional array of already rendered commands to execute, if null they are collected for the ioEvent
+    * @return Promise - fulfilled/rejected w/ the ReactorResult
     */
-    _onError(errorMessage, error) {
-        this._errorCallback(errorMessage, error);
+    _scheduleReaction(ioEvent, commands) {
+        var self = this;
+
+        var key = (typeof(this._schedulerKey) == 'function' ? this._schedulerKey(ioEvent) : ioEvent[this._schedulerKey]);
+
+        return this._reactionScheduler.schedule(key, function() {
+                return self._reactWithRetry(ioEvent, commands);
+
+            }).catch(function(error) {
+                if (error instanceof Error && error.overflow) {
+                    self._log('warn',"Reaction queue overflow for: " + ioEvent.fullPath + " " + error.message);
+                    return self._rejectReaction(self._newReactorResult(false,ioEvent,"Reaction queue overflow: " + error.message, error,
+                                                                       {'commands': [], 'commandResults': [], 'failureType': 'overflow'}));
+                }
+
+                // cancelled while queued
+                if (error instanceof Error && error.failureType == 'cancelled') {
+                    return self._rejectReaction(self._newReactorResult(false,ioEvent,error.message, error,
+                                                                       {'commands': [], 'commandResults': [], 'failureType': 'cancelled'}));
+                }
+
+                throw error;
+            });
     }
 
+    /**
+    * _reactWithRetry() - reacts to the ioEvent, retrying failed attempts per the 'retry' policy
+    * and dead-lettering the reaction if the final attempt fails
+    *
+    * @param ioEvent - IoEvent object to react to
+    * @param commands - optional array of already rendered commands to execute, if null they are collected for the ioEvent
+    * @return Promise - fulfilled/rejected w/ the ReactorResult of the last attempt
+    */
+    _reactWithRetry(ioEvent, commands) {
+        var self = this;
+        var attempt = 1;
+
+        // tracks the reaction so cancelAll() can abort it
+        var reaction = newReactionContext();
+        this._activeReactions.add(reaction);
+
+        var attemptReaction = function() {
+            return self._reactOnce(ioEvent, commands, reaction)
+                .then(function(reactorResult) {
+                    reactorResult.attempts = attempt;
+                    return reactorResult;
+
+                }, function(reactorResult) {
+                    reactorResult.attempts = attempt;
+
+                    // cancelled reactions are never retried nor dead-lettered
+                    if (reactorResult.failureType == 'cancelled') {
+                        throw reactorResult;
+                    }
+
+                    if (self._retryPolicy && self._retryPolicy.shouldRetry(reactorResult, attempt)) {
+                        var delayMS = self._retryPolicy.getDelayMS(attempt);
+
+                        self._log('warn',"Reaction attempt " + attempt + " failed for: " + ioEvent.fullPath + ", retrying in " + delayMS + "ms: " + reactorResult.message);
+
+                        attempt++;
+                        var backoffTimer = null;
+                        var backoff = new Promise(function(resolve) {
+                            backoffTimer = setTimeout(resolve, delayMS);
+                        });
+
+                        return Promise.race([backoff, reaction.cancelled])
+                            .then(attemptReaction, function(error) {
+                                // cancelled while backing off, the timer would otherwise hold the event loop open
+                                clearTimeout(backoffTimer);
+
+                                throw self._newReactorResult(false,ioEvent,error.message,error,
+                                                             {'commands': reactorResult.commands, 'commandResults': reactorResult.commandResults,
+                                                              'failureType': 'cancelled', 'attempts': reactorResult.attempts});
+                            });
+                    }
+
+                    return self._deadLetter(reactorResult).then(function() {
+                        throw reactorResult;
+                    });
+                });
+        };
+
+        var finished = function(reactorResult) {
+            self._activeReactions.delete(reaction);
+            return self._finishReaction(reactorResult);
+        };
+
+        return attemptReaction()
+            .then(function(reactorResult) {
+                return finished(reactorResult).then(function() {
+                    return reactorResult;
+                });
+
+            }, function(reactorResult) {
+                return finished(reactorResult).then(function() {
+                    throw reactorResult;
+                });
+            });
+    }
+
+    /**
+    * _finishReaction() - journals the final ReactorResult of a reaction and hands it to onResult
+    *
+    * Every reaction ends here, including those rejected before ever executing (overflow, shutdown,
+    * cancelled while queued or debouncing, invalid pluginConfig).
+    *
+    * @param reactorResult - the final ReactorResult of a reaction
+    * @return Promise - always fulfilled, see _journal() and _invokeOnResult()
+    */
+    _finishReaction(reactorResult) {
+        var self = this;
+
+        return this._journal(reactorResult).then(function() {
+            return self._invokeOnResult(reactorResult);
+        });
+    }
+
+    /**
+    * _rejectReaction() - finishes a reaction rejected before it executed, see _finishReaction()
+    *
+    * @param reactorResult - the failed ReactorResult
+    * @return Promise - rejected w/ the reactorResult once it is journaled and onResult has completed
+    */
+    _rejectReaction(reactorResult) {
+        return this._finishReaction(reactorResult).then(function() {
+            throw reactorResult;
+        });
+    }
+
+    /**
+    * _journal() - records the final ReactorResult of a reaction in the journal, if configured
+    *
+    * @param reactorResult - the final ReactorResult of a reaction
+    * @return Promise - always fulfilled, errors writing the journal are logged and reported via the errorCallback
+    */
+    _journal(reactorResult) {
+        var self = this;
+
+        if (!this._executionJournal) {
+            return Promise.resolve();
+        }
+
+        var record = {
+            'timestamp': new Date().toISOString(),
+            'reactorId': this._reactorId,
+            'pluginId': this.getId(),
+            'ioEvent': reactorResult.ioEvent,
+            'success': reactorResult.success,
+            'message': reactorResult.message,
+            'failureType': reactorResult.failureType,
+            'attempts': reactorResult.attempts,
+            'dryRun': reactorResult.dryRun,
+            'commands': reactorResult.commands,
+            'commandResults': reactorResult.commandResults,
+            'onFailure': reactorResult.onFailure,
+            'finally': reactorResult.finally
+        };
+
+        return this._executionJournal.append(record)
+            .catch(function(e) {
+                var errMsg = self.__proto__.constructor.name +"["+self._reactorId+"]["+self.getId()+"] error writing to journal: " + self._executionJournal.getPath() + " " + e;
+                self._log('error',errMsg);
+                self._onError(errMsg,e);
+            });
+    }
+
+    /**
+    * _invokeOnResult() - invokes the onResult callback, if configured, w/ a reaction's final ReactorResult
+    *
+    * @param reactorResult - the final ReactorResult of a reaction
+    * @return Promise - always fulfilled once onResult completes (it may return a Promise), errors are logged
+    *                   and reported via the errorCallback but do not alter the ReactorResult
+    */
+    _invokeOnResult(reactorResult) {
+        var self = this;
+
+        if (typeof(this._onResult) != 'function') {
+            return Promise.resolve();
+        }
+
+        return new Promise(function(resolve) {
+                resolve(self._onResult(reactorResult.ioEvent, reactorResult.commandResults, reactorResult));
+
+            }).catch(function(e) {
+                var errMsg = self.__proto__.constructor.name +"["+self._reactorId+"]["+self.getId()+"] error in onResult callback: " + e;
+                self._log('error',errMsg);
+                self._onError(errMsg,e);
+            });
+    }
+
+    /**
+    * _deadLetter() - records a failed ReactorResult in the dead-letter file, if configured
+    *
+    * @param reactorResult - the failed ReactorResult
+    * @return Promise - always fulfilled, errors writing the file are logged and reported via the errorCallback
+    */
+    _deadLetter(reactorResult) {
+        var self = this;
+
+        if (!this._deadLetterQueue) {
+            return Promise.resolve();
+        }
+
+        var entry = {
+            'timestamp': new Date().toISOString(),
+            'ioEvent': reactorResult.ioEvent,
+            'commands': reactorResult.commands,
+            'commandResults': reactorResult.commandResults,
+            'failureType': reactorResult.failureType,
+            'attempts': reactorResult.attempts,
+            'error': reactorResult.message
+        };
+
+        return this._deadLetterQueue.add(entry)
+            .then(function() {
+                self._deadLetteredResults.add(reactorResult);
+                self._log('warn',"Reaction dead-lettered to: " + self._deadLetterQueue.getPath() + " for: " + entry.ioEvent.fullPath);
+
+            }).catch(function(e) {
+                var errMsg = self.__proto__.constructor.name +"["+self._reactorId+"]["+self.getId()+"] error writing to dead-letter file: " + self._deadLetterQueue.getPath() + " " + e;
+                self._log('error',errMsg);
+                self._onError(errMsg,e);
+            });
+    }
+
+    /**
+    * _reactOnce() - a single attempt at reacting to an ioEvent
+    *
+    * @param ioEvent - IoEvent object to react to
+    * @param commands - optional array of already rendered commands to execute, if null they are collected for the ioEvent
+    * @param reaction - the reaction context, see newReactionContext()
+    * @return Promise - fulfilled/rejected w/ a ReactorResult
+    */
+    _reactOnce(ioEvent, commands, reaction) {
+        var self = this;
+
+        return new Promise(function(resolve, reject) {
+
+            var collected = (commands ? Promise.resolve({'commands': commands.map(function(command) { return toCommandSpec(command); }), 'skippedTemplates': []})
+                                      : self._collectCommands(ioEvent));
+
+            collected.then(function(collection) {
+                var commandsToExec = collection.commands;
+                var skippedTemplates = collection.skippedTemplates;
+
+                // nothing executes if any command violates the policy
+                var violation = self._checkCommandPolicy(commandsToExec);
+                if (violation) {
+                    self._log('error',"Command violates commandPolicy rule[" + violation.rule + "], no commands executed for: " + ioEvent.fullPath + " command: " + violation.command);
+                    reject(self._newReactorResult(false,ioEvent,"Command violates commandPolicy rule[" + violation.rule + "]: " + violation.command, null,
+                                                  {'commands': commandsToExec, 'commandResults': [], 'failureType': 'policy', 'policyViolation': violation,
+                                                   'skippedTemplates': skippedTemplates}));
+                    return;
+                }
+
+                if (self._dryRun) {
+                    for (let commandSpec of commandsToExec) {
+                        self._log('info',"DRY RUN, would execute: " + commandSpec.command);
+                    }
+                    resolve(self._newReactorResult(true,ioEvent,"Dry run, " + commandsToExec.length + " commands rendered but not executed", null,
+                                                   {'commands': commandsToExec, 'commandResults': [], 'dryRun': true, 'skippedTemplates': skippedTemplates}));
+                    return;
+                }
+
+                // the reactionTimeoutMS applies to each attempt
+                var deadline = (self._reactionTimeoutMS ? Date.now() + self._reactionTimeoutMS : Infinity);
+
+                /**
+                * Exec all commands!
+                */
+                var envVars = (self._ioEventEnv ? shells.ioEventEnvVars(ioEvent) : null);
+
+                // what the onFailure templates/generator are rendered/invoked with
+                var failure = null;
+
+                self._executeCommands(commandsToExec, envVars, reaction, deadline)
+                    .then(function(cmdResults) {
+
+                        var failedResult = self._findFailedResult(cmdResults);
+
+                        if (failedResult) {
+                            var message = "Command failed per failurePolicy["+self._failurePolicy+"]: " + failedResult.command +
+                                            " exitCode:" + failedResult.exitCode + (failedResult.signal ? " signal:" + failedResult.signal : "") +
+                                            " stderr:" + failedResult.stderr;
+
+                            failure = newFailure('command', message, failedResult.command, failedResult);
+
+                            return self._newReactorResult(false,ioEvent,message, null,
+                                                          {'commands': commandsToExec, 'commandResults': cmdResults, 'failureType': 'command',
+                                                           'skippedTemplates': skippedTemplates});
+                        }
+
+                        return self._newReactorResult(true,ioEvent,"Executed commands successfully", null,
+                                                      {'commands': commandsToExec, 'commandResults': cmdResults, 'skippedTemplates': skippedTemplates});
+
+                    }, function(error) {
+                        var failureType = (error.failureType ? error.failureType : 'execution');
+                        var message = (error.failureType ? error.message : "Error executing commands: " + error);
+                        var cmdResults = (error.commandResults ? error.commandResults : []);
+
+                        // an 'output' failure is of a command that completed, otherwise of the one executing
+                        var failedResult = (failureType == 'output' ? cmdResults[cmdResults.length-1] : null);
+                        var failedCommand = (failedResult ? failedResult.command :
+                                                (cmdResults.length < commandsToExec.length ? commandsToExec[cmdResults.length].command : null));
+
+                        failure = newFailure(failureType, message, failedCommand, failedResult);
+
+                        return self._newReactorResult(false,ioEvent,message, error,
+                                                      {'commands': commandsToExec, 'commandResults': cmdResults, 'failureType': failureType,
+                                                       'skippedTemplates': skippedTemplates});
+
+                    }).then(function(reactorResult) {
+                        return self._executeCleanup(ioEvent, reactorResult, failure, envVars, reaction);
+
+                    }).then(function(reactorResult) {
+                        self._releaseProcesses(reaction);
+
+                        if (reactorResult.success) {
+                            resolve(reactorResult);
+                        } else {
+                            reject(reactorResult);
+                        }
+                    });
+
+            }, function(error) {
+                reject(self._newReactorResult(false,ioEvent,error.message, error.cause,
+                                              {'commands': [], 'commandResults': [], 'failureType': error.failureType, 'skippedTemplates': []}));
+            });
+
+        });
+    }
+
+    /**
+    * _executeCleanup() - executes the onFailure commands (if the attempt failed) and then the finally commands
+    *
+    * Each phase's commands are rendered from its templates (w/ the failure available to them), followed by
+    * those of its generator, checked against the commandPolicy and executed like any other commands. The
+    * outcome of a phase never changes the attempt's outcome, it is recorded in the ReactorResult's 'onFailure'
+    * or 'finally' property as {commands, commandResults, error}. Cancelled attempts are not cleaned up.
+    *
+    * @param ioEvent - the IoEvent being reacted to
+    * @param reactorResult - the ReactorResult of the attempt's commands
+    * @param failure - null if the attempt succeeded, otherwise {failureType, message, command, exitCode, stdout, stderr}
+    * @param envVars - optional object of environment variables exported for every command
+    * @param reaction - the reaction context, see newReactionContext()
+    * @return Promise - always fulfilled w/ the reactorResult
+    */
+    _executeCleanup(ioEvent, reactorResult, failure, envVars, reaction) {
+        var self = this;
+
+        var phases = [];
+        if (failure && failure.failureType != 'cancelled') {
+            phases.push({'name': 'onFailure', 'templates': this._onFailureTemplates, 'generator': this._onFailureGenerator});
+        }
+        if (!failure || failure.failureType != 'cancelled') {
+            phases.push({'name': 'finally', 'templates': this._finallyTemplates, 'generator': this._finallyGenerator});
+        }
+
+        return phases.reduce(function(previous, phase) {
+            if (!phase.templates && !phase.generator) {
+                return previous;
+            }
+
+            var phaseResult = {'commands': [], 'commandResults': [], 'error': null};
+            reactorResult[phase.name] = phaseResult;
+
+            return previous.then(function() {
+                var commands = [];
+
+                for (let templateEntry of (phase.templates || [])) {
+                    var template = templateOf(templateEntry);
+                    try {
+                        var commandSpec = self._renderEntry(templateEntry,ioEvent,failure);
+                        if (commandSpec) {
+                            commands.push(commandSpec);
+                        }
+                    } catch(e) {
+                        self._metrics.renderError();
+                        throw new Error("Error generating " + phase.name + " command from mustache template: " + template + " " + e);
+                    }
+                }
+
+                var generated = (phase.generator ? self._generateCommands(ioEvent, phase.generator, failure) : Promise.resolve([]));
+
+                return generated.then(function(generatedCmds) {
+                    phaseResult.commands = commands.concat(generatedCmds);
+
+                    var violation = self._checkCommandPolicy(phaseResult.commands);
+                    if (violation) {
+                        throw new Error("Command violates commandPolicy rule[" + violation.rule + "]: " + violation.command);
+                    }
+
+                    // the attempt's deadline may well have passed, each phase gets its own
+                    var deadline = (self._reactionTimeoutMS ? Date.now() + self._reactionTimeoutMS : Infinity);
+
+                    return self._executeCommands(phaseResult.commands, envVars, reaction, deadline);
+
+                }).then(function(cmdResults) {
+                    phaseResult.commandResults = cmdResults;
+
+                    var failedResult = self._findFailedResult(cmdResults);
+                    if (failedResult) {
+                        phaseResult.error = "Command failed per failurePolicy["+self._failurePolicy+"]: " + failedResult.command +
+                                                " exitCode:" + failedResult.exitCode + (failedResult.signal ? " signal:" + failedResult.signal : "") +
+                                                " stderr:" + failedResult.stderr;
+                    }
+                });
+
+            }).catch(function(error) {
+                if (error.commandResults) {
+                    phaseResult.commandResults = error.commandResults;
+                }
+                phaseResult.error = (error.message ? error.message : String(error));
+
+            }).then(function() {
+                if (phaseResult.error) {
+                    self._log('error',"Error executing " + phase.name + " commands for: " + ioEvent.fullPath + " " + phaseResult.error);
+                }
+            });
+
+        }, Promise.resolve()).then(function() {
+            return reactorResult;
+        });
+    }
+
+    /**
+    * _collectCommands() - renders the templates routed to the ioEvent and invokes the commandGenerator
+    *
+    * @param ioEvent - IoEvent object to collect commands for
+    * @return Promise - fulfilled with {commands, skippedTemplates}: the array of command specs {command, timeoutMS} to execute,
+    *                   in order, and the commandTemplates entries not rendered because their 'when' predicate was false, as
+    *                   {template, when, reason}. On reject an Error with a 'failureType' of 'render' or 'generator' and the
+    *                   original error as 'cause'
+    */
+    _collectCommands(ioEvent) {
+        var self = this;
+        var commandsToExec = [];
+        var skippedTemplates = [];
+
+        /**
+        * #1 Collect commands to exec from Command templates....
+        */
+        if (this._commandRouter) {
+
+            // for each template routed to this event, render it and push on to list of commands to exec
+            for (let templateEntry of this._commandRouter.getTemplates(ioEvent)) {
+                var template = templateOf(templateEntry);
+
+                var condition = this._templateConditions.get(templateEntry);
+                var unmetCondition = (condition ? condition.check(ioEvent) : null);
+                if (unmetCondition) {
+                    this._log('info',"Skipping commandTemplate["+template+"], 'when' condition not met: " + unmetCondition + " for: " + ioEvent.fullPath);
+                    skippedTemplates.push({'template': template, 'when': templateEntry.when, 'reason': unmetCondition});
+                    continue;
+                }
+
+                try {
+                    var commandSpec = this._renderEntry(templateEntry,ioEvent);
+                    if (commandSpec) {
+                        commandsToExec.push(commandSpec);
+                    }
+                } catch(e) {
+                    this._metrics.renderError();
+                    return Promise.reject(collectionError('render', "Error generating command from mustache template: " + template + " " +  e, e));
+                }
+            }
+        }
+
+        /**
+        * #2 Collection commands to exec from Command generator function (may be async)
+        */
+        return this._generateCommands(ioEvent)
+            .then(function(generatedCmds) {
+                // concatenate them
+                return {'commands': commandsToExec.concat(generatedCmds), 'skippedTemplates': skippedTemplates};
+
+            }, function(e) {
+                self._metrics.generatorError();
+                throw collectionError('generator', "Error generating command from command generator function: " + e, e);
+            });
+    }
+
+    /**
+    * _generateCommands() - invokes the commandGenerator, if configured
+    *
+    * The commandGenerator may return an array of commands or a Promise (i.e. an async function)
+    * that is fulfilled with one.
+    *
+    * @param ioEvent - IoEvent to generate commands for
+    * @param generatorFunction - optional, the generator to invoke instead of the commandGenerator, i.e. the onFailureGenerator
+    * @param failure - optional, passed to the generatorFunction after the ioEvent
+    * @return Promise - fulfilled with an array of command specs (empty if no commandGenerator), on reject the error
+    */
+    _generateCommands(ioEvent, generatorFunction, failure) {
+        var self = this;
+        var generator = (generatorFunction ? generatorFunction : this._commandGenerator);
+
+        return new Promise(function(resolve, reject) {
+
+            if (typeof(generator) != 'function') {
+                resolve([]);
+                return;
+            }
+
+            // resolve() adopts the state of a returned Promise, a thrown error rejects
+            resolve(generator(ioEvent, failure));
+
+        }).then(function(generatedCmds) {
+
+            if (typeof(generatedCmds) == 'undefined' || generatedCmds == null) {
+                return [];
+            }
+
+            if (!Array.isArray(generatedCmds)) {
+                throw new Error("commandGenerator must return (or fulfill w/) an array of commands, got: " + generatedCmds);
+            }
+
+            return generatedCmds.map(function(generatedCmd) {
+                var commandSpec = toCommandSpec(generatedCmd);
+                self._validateCommandSpec(commandSpec);
+                return commandSpec;
+            });
+        });
+    }
+
+    /**
+    * _checkCommandPolicy() - checks every command against the commandPolicy, if configured
+    *
+    * @param commandSpecs - array of command specs {command, ...}
+    * @return null if all are permitted, otherwise {command, rule} for the first violation
+    */
+    _checkCommandPolicy(commandSpecs) {
+        if (!this._commandPolicy) {
+            return null;
+        }
+
+        for (let commandSpec of commandSpecs) {
+            // argv commands are displayed quoted for posix, see shells.argvToString()
+            var rule = this._commandPolicy.check(commandSpec.command, (commandSpec.argv ? 'posix' : this._shellOf(commandSpec)));
+            if (rule) {
+                this._metrics.policyViolation();
+                return {'command': commandSpec.command, 'rule': rule};
+            }
+        }
+
+        return null;
+    }
+
+    /**
+    * _validateTemplateEntry() - validates a commandTemplates (or onFailure/finally) entry against the configured backend and pools
+    *
+    * @param templateEntry - template string or object
+    * @param where - name of the config property the entry is from, for the error message
+    * @throws Error if the entry can not be executed by this plugin
+    */
+    _validateTemplateEntry(templateEntry, where) {
+        var isArgv = (typeof(templateEntry) == 'object' && templateEntry != null && typeof(templateEntry.argv) != 'undefined');
+
+        if (isArgv && (!Array.isArray(templateEntry.argv) || templateEntry.argv.length == 0)) {
+            throw new Error(where + " entry 'argv' must be a non-empty array of templates, got: " + JSON.stringify(templateEntry.argv));
+        }
+
+        if (!isArgv && typeof(templateOf(templateEntry)) != 'string') {
+            throw new Error(where + " entries must be a template string or an object w/ a 'template' or 'argv', got: " + JSON.stringify(templateEntry));
+        }
+
+        // values quoted for the shell are only literal outside of quotes and comments
+        if (!isArgv && this._templateEscaping == 'shell') {
+            var quoted = shells.quotedPlaceholders(this._shellOf(templateEntry), templateOf(templateEntry)).filter(function(name) {
+                return /^(ioEvent|failure)(\.|$)/.test(name);
+            });
+            if (quoted.length > 0) {
+                throw new Error(where + " command[" + templateOf(templateEntry) + "] has " + quoted.join(', ') +
+                    " within quotes or a comment, where the shell would not treat its value as a literal, move it out of them (values are already quoted)");
+            }
+        }
+
+        this._validateCommandSpec({'command': templateOf(templateEntry), 'argv': (isArgv ? templateEntry.argv : undefined), 'pool': templateEntry.pool}, where);
+    }
+
+    /**
+    * _validateCommandSpec() - validates a command spec against the configured backend and pools
+    *
+    * @param commandSpec - the command spec
+    * @param where - optional, where the command is from, for the error message
+    * @throws Error if the command can not be executed by this plugin
+    */
+    _validateCommandSpec(commandSpec, where) {
+        var prefix = (where ? where + " " : "") + "command[" + commandSpec.command + "]";
+
+        if (this._backend == 'spawn' && !commandSpec.argv) {
+            throw new Error(prefix + " has no 'argv', backend 'spawn' only executes argv arrays");
+        }
+
+        if (this._backend != 'spawn' && commandSpec.argv) {
+            throw new Error(prefix + " has an 'argv', which requires backend 'spawn'");
+        }
+
+        if (commandSpec.pool && !this._pools.has(commandSpec.pool)) {
+            throw new Error(prefix + " names an unknown pool: " + commandSpec.pool);
+        }
+    }
+
+    /**
+    * _renderEntry() - renders a commandTemplates (or onFailure/finally) entry to a command spec
+    *
+    * A 'template' is rendered per the templateEscaping mode for the dialect of its pool. Each element
+    * of an 'argv' (and its 'cwd' and 'env' values) is rendered separately and NOT quoted, as no shell
+    * ever parses them, both {{ioEvent.xxx}} and {{rawIoEvent.xxx}} are the raw values.
+    *
+    * @param templateEntry - template string or object
+    * @param ioEvent - IoEvent to render the entry with
+    * @param failure - optional, the failure an onFailure/finally entry is rendered for, available as 'failure'
+    * @return the command spec, or null if the template rendered to nothing
+    */
+    _renderEntry(templateEntry, ioEvent, failure) {
+        if (typeof(templateEntry) == 'object' && Array.isArray(templateEntry.argv)) {
+            var view = {'ioEvent': ioEvent, 'rawIoEvent': ioEvent, 'failure': failure, 'rawFailure': failure};
+            var render = function(template) {
+                return Mustache.render(String(template), view, {}, {'escape': function(value) { return value; }});
+            };
+
+            var rendered = {'argv': templateEntry.argv.map(render)};
+            if (typeof(templateEntry.cwd) == 'string') {
+                rendered.cwd = render(templateEntry.cwd);
+            }
+            if (templateEntry.env) {
+                rendered.env = {};
+                for (let name of Object.keys(templateEntry.env)) {
+                    rendered.env[name] = render(templateEntry.env[name]);
+                }
+            }
+
+            return toCommandSpec(Object.assign({}, templateEntry, rendered));
+        }
+
+        var commandToExec = this._renderTemplate(templateOf(templateEntry),ioEvent,this._shellOf(templateEntry),failure);
+        return (commandToExec ? toCommandSpec(templateEntry, commandToExec) : null);
+    }
+
+    /**
+    * _shellOf() - the dialect of the pool a commandTemplates entry or command spec executes on
+    *
+    * @param entry - a commandTemplates entry or command spec, w/ an optional 'pool' name
+    * @return 'posix' or 'powershell'
+    */
+    _shellOf(entry) {
+        var pool = (typeof(entry) == 'object' && entry.pool ? this._pools.get(entry.pool) : null);
+        return (pool ? pool.shell : this._shell);
+    }
+
+    /**
+    * _renderTemplate() - renders a mustache command template for the given IoEvent
+    * according to the configured templateEscaping mode
+    *
+    * @param template - mustache template string
+    * @param ioEvent - IoEvent to render the template with
+    * @param shell - optional, the dialect to quote values for, defaults to that of the default pool
+    * @param failure - optional, the failure an onFailure/finally template is rendered for, available as 'failure'
+    * @return the rendered command string
+    */
+    _renderTemplate(template, ioEvent, shell, failure) {
+        if (this._templateEscaping == 'none') {
+            return Mustache.render(template,{'ioEvent':ioEvent, 'rawIoEvent':ioEvent, 'failure':failure, 'rawFailure':failure});
+        }
+
+        var view = {
+            'ioEvent': shells.quoteValues(shell || this._shell, ioEvent, IO_EVENT_PROPERTIES),
+            'rawIoEvent': ioEvent,
+            'failure': shells.quoteValues(shell || this._shell, failure),
+            'rawFailure': failure
+        };
+
+        // values are already quoted, disable mustache's HTML escaping
+        return Mustache.render(template, view, {}, {'escape': function(value) { return value; }});
+    }
+
+    /**
+    * _executeCommands() - executes the commands one at a time, in order, via the StatefulProcessCommandProxy
+    *
+    * Each command is wrapped so that its exit code is echo'd back and captured. Execution stops at the
+    * first command that fails per the configured failurePolicy. All the commands of a reaction attempt
+    * (including its onFailure/finally ones) execute on the same shell process of each pool, see _acquireProcess().
+    *
+    * A command that runs past its own timeoutMS or the reaction's deadline, or that is executing when the
+    * reaction is cancelled, is abandoned and the shell process running it is recycled.
+    *
+    * Commands w/ an 'output' mode have their stdout parsed into the result's 'output' property, if that fails
+    * 'outputError' describes why and, if the command has 'failOnParseError', the execution stops.
+    *
+    * @param commands - array of command specs {command, timeoutMS, output, failOnParseError}
+    * @param envVars - optional object of environment variables exported for (and cleared after) every command
+    * @param reaction - the reaction context, see newReactionContext()
+    * @param deadline - epoch ms by which all the commands must complete, or Infinity
+    * @return Promise - fulfilled with an array of command results:
+    *                   {command:cmd, stdout:xxx, stderr:xxx, exitCode:N|null, signal:xxx, durationMs:N, output:xxx, outputError:xxx}
+    *                   on reject an Error whose 'commandResults' holds the results collected so far and,
+    *                   on a timeout, cancellation or output parse failure, a 'failureType' of 'timeout', 'cancelled' or 'output'
+    */
+    _executeCommands(commands, envVars, reaction, deadline) {
+        var self = this;
+        var cmdResults = [];
+
+        return commands.reduce(function(previous, commandSpec) {
+            return previous.then(function() {
+
+                // a previous command failed, skip the rest
+                if (self._findFailedResult(cmdResults)) {
+                    return;
+                }
+
+                var command = commandSpec.command;
+                self._validateCommandSpec(commandSpec);
+
+                var startedAt = Date.now();
+                var execution = null;
+                var abandon = null; // terminates whatever is executing an abandoned command
+
+                if (self._backend == 'spawn') {
+                    var spawned = spawnBackend.spawnCommand(commandSpec, envVars);
+                    execution = spawned.execution;
+                    abandon = spawned.kill;
+
+                } else {
+                    var pool = self._pools.get(commandSpec.pool || self._defaultPool);
+                    if (!pool.proxy) {
+                        throw new Error("No StatefulProcessCommandProxy for pool[" + pool.name + "] to execute: " + command);
+                    }
+
+                    var wrappedCommand = shells.wrapWithExitCode(pool.shell, command, nextCommandId(self.getId()), envVars);
+                    var processProxy = null;
+
+                    execution = self._acquireProcess(pool, reaction)
+                        .then(function(acquired) {
+                            processProxy = acquired;
+                            return processProxy.executeCommand(wrappedCommand);
+
+                        }).then(function(rawResult) {
+                            var parsed = shells.parseExitCode(rawResult.stdout);
+                            return {'stdout': parsed.stdout, 'stderr': rawResult.stderr, 'exitCode': parsed.exitCode};
+                        });
+                    abandon = function() {
+                        // still waiting on a shell, it is released w/ the rest at the end of the attempt
+                        if (processProxy) {
+                            self._recycleProcess(pool, processProxy, reaction);
+                        }
+                    };
+                }
+                execution.catch(function() {}); // may be abandoned below
+
+                var timeoutMS = Math.min((commandSpec.timeoutMS ? commandSpec.timeoutMS : Infinity), deadline - startedAt);
+                var timer = null;
+                var timeout = new Promise(function(resolve, reject) {
+                    if (timeoutMS != Infinity) {
+                        timer = setTimeout(function() {
+                            reject(reactionError('timeout', "Command timed out after " + Math.max(timeoutMS, 0) + "ms: " + command));
+                        }, Math.max(timeoutMS, 0));
+                    }
+                });
+
+                return Promise.race([execution, timeout, reaction.cancelled])
+                    .then(function(result) {
+                        clearTimeout(timer);
+
+                        var cmdResult = {
+                            'command': command,
+                            'stdout': result.stdout,
+                            'stderr': result.stderr,
+                            'exitCode': result.exitCode,
+                            'durationMs': (Date.now() - startedAt)
+                        };
+
+                        if (commandSpec.pool) {
+                            cmdResult.pool = commandSpec.pool;
+                        }
+
+                        // only the spawn backend knows if a signal terminated the command
+                        if (result.signal) {
+                            cmdResult.signal = result.signal;
+                        }
+
+                        self._log('info',"CmdResult: cmd: " + cmdResult.command + " exitCode:" + cmdResult.exitCode + " durationMs:" + cmdResult.durationMs +
+                                         " stdout:" + cmdResult.stdout + " stderr:" + cmdResult.stderr);
+
+                        cmdResults.push(cmdResult);
+                        self._metrics.commandExecuted(cmdResult.durationMs);
+
+                        if (commandSpec.output) {
+                            try {
+                                cmdResult.output = parseOutput(commandSpec.output, cmdResult.stdout);
+
+                            } catch(e) {
+                                cmdResult.output = null;
+                                cmdResult.outputError = "Error parsing '" + commandSpec.output + "' output: " + e;
+                                self._log('error',cmdResult.outputError + " cmd: " + command);
+
+                                // unless the command already failed on its own
+                                if (commandSpec.failOnParseError && !self._findFailedResult([cmdResult])) {
+                                    throw reactionError('output', cmdResult.outputError + " cmd: " + command);
+                                }
+                            }
+                        }
+
+                    }, function(error) {
+                        clearTimeout(timer);
+
+                        // abandoned, the shell running it is in an unknown state
+                        if (error.failureType == 'timeout' || error.failureType == 'cancelled') {
+                            self._log('error',error.message);
+                            abandon();
+                        }
+
+                        throw error;
+                    });
+            });
+
+        }, Promise.resolve())
+
+            .then(function() {
+                return cmdResults;
+
+            }).catch(function(error) {
+                if (!(error instanceof Error)) {
+                    error = new Error(error);
+                }
+                error.commandResults = cmdResults;
+                throw error;
+            });
+    }
+
+    /**
+    * _acquireProcess() - the shell process of a pool the reaction attempt executes its commands on
+    *
+    * The first command of an attempt for a pool acquires a process from the pool, the attempt then holds
+    * it, so that state (i.e. a 'cd' or a variable) carries over to its later commands and no other reaction's
+    * commands execute in between, until _releaseProcesses(). StatefulProcessCommandProxy only lends a process
+    * out per executeCommand(s)() call, so its (generic-pool) pool is used directly. That pool is private to
+    * StatefulProcessCommandProxy, which is why package.json pins it to the 1.0.x versions this was verified against.
+    *
+    * @param pool - the pool, see toPools()
+    * @param reaction - the reaction context, see newReactionContext()
+    * @return Promise - fulfilled w/ the ProcessProxy, on reject the error acquiring it
+    */
+    _acquireProcess(pool, reaction) {
+        if (!reaction.processes.has(pool.name)) {
+            reaction.processes.set(pool.name, new Promise(function(resolve, reject) {
+                if (!pool.proxy._pool || typeof(pool.proxy._pool.acquire) != 'function') {
+                    reject(new Error("pool[" + pool.name + "] has no process pool to acquire from, stateful-process-command-proxy 1.0.x is required"));
+                    return;
+                }
+
+                pool.proxy._pool.acquire(function(error, processProxy) {
+                    if (error) {
+                        reject(new Error("Error acquiring a shell process from pool[" + pool.name + "]: " + error));
+                    } else {
+                        resolve(processProxy);
+                    }
+                });
+            }));
+        }
+
+        return reaction.processes.get(pool.name);
+    }
+
+    /**
+    * _releaseProcesses() - returns the shell processes held by a reaction attempt to their pools
+    *
+    * @param reaction - the reaction context, see newReactionContext()
+    */
+    _releaseProcesses(reaction) {
+        var self = this;
+
+        reaction.processes.forEach(function(acquisition, poolName) {
+            var pool = self._pools.get(poolName);
+
+            // one still being acquired is released once it is
+            acquisition.then(function(processProxy) {
+                pool.proxy._pool.release(processProxy);
+            }, function() {});
+        });
+
+        reaction.processes.clear();
+    }
+
+    /**
+    * _recycleProcess() - destroys a shell process held by a reaction attempt whose command was abandoned
+    *
+    * The process is killed, along w/ the processes it started (i.e. the hung command), and removed from
+    * the proxy's (private, see _acquireProcess()) pool, which replaces it. Later commands of the attempt
+    * acquire another process.
+    *
+    * @param pool - the pool the process is from, see toPools()
+    * @param processProxy - the ProcessProxy executing the abandoned command
+    * @param reaction - the reaction context holding the process, see newReactionContext()
+    */
+    _recycleProcess(pool, processProxy, reaction) {
+        try {
+            reaction.processes.delete(pool.name);
+
+            var pid = processProxy.getPid();
+
+            this._log('warn',"Recycling shell process pid[" + pid + "] executing abandoned command");
+
+            // before the pool's destroy, once the shell exits its children can no longer be found
+            var killedPids = processTree.killTree(pid, 'SIGKILL');
+            this._log('info',"Killed shell process pid[" + pid + "] and its descendants: " + killedPids.join(', '));
+
+            pool.proxy._pool.destroy(processProxy);
+
+        } catch(e) {
+            var errMsg = this.__proto__.constructor.name +"["+this._reactorId+"]["+this.getId()+"] error recycling shell process: " + e;
+            this._log('error',errMsg);
+            this._onError(errMsg,e);
+        }
+    }
+
+    /**
+    * _findFailedResult() - applies the failurePolicy to command results
+    *
+    * @param cmdResults - array of command results as produced by _executeCommands()
+    * @return the first command result considered failed, or null if none
+    */
+    _findFailedResult(cmdResults) {
+        if (this._failurePolicy == 'never') {
+            return null;
+        }
+
+        for (let cmdResult of cmdResults) {
+            // an exit code that could not be determined (or a signal) is not a success
+            if (cmdResult.exitCode == null || cmdResult.exitCode != 0 || cmdResult.signal) {
+                return cmdResult;
+            }
+            if (this._failurePolicy == 'stderr' && cmdResult.stderr) {
+                return cmdResult;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+    *  Helper to construct a ReactorResult for this plugin
+    *  w/ any additional properties assigned to it
+    */
+    _newReactorResult(success, ioEvent, message, error, properties) {
+        var reactorResult = new ReactorResult(success,this.getId(),this._reactorId,ioEvent,message,error);
+        for (let key of Object.keys(properties || {})) {
+            reactorResult[key] = properties[key];
+        }
+        return reactorResult;
+    }
+
+    /**
+    * _newConfigErrorResult() - the failed ReactorResult of a reaction rejected because the pluginConfig is invalid
+    *
+    * @param ioEvent - the IoEvent that was not reacted to
+    * @return ReactorResult w/ a failureType of 'render'
+    */
+    _newConfigErrorResult(ioEvent) {
+        return this._newReactorResult(false,ioEvent,"Invalid pluginConfig, not reacting: " + this._configError.message, this._configError,
+                                      {'commands': [], 'commandResults': [], 'failureType': 'render'});
+    }
+
+    /**
+    *  Helper log function
+    *  will set origin = this class' name
+    */
+    _log(severity,message) {
+        this._logFunction(severity,(this.__proto__.constructor.name + '[' + this._reactorId + ']['+this.getId()+']'),message);
+    }
+
+    /**
+    *  Helper error function
+    */
+    _onError(errorMessage, error) {
+        this._errorCallback(errorMessage, error);
+    }
+
+}
+
+var commandCounter = 0;
+
+/**
+* Returns a unique id for each command execution
+*/
+function nextCommandId(pluginId) {
+    commandCounter++;
+    return 'shell-exec:' + pluginId + ':' + process.pid + ':' + commandCounter;
+}
+
+/**
+* Creates the context of a reaction in progress, 'cancelled' is a Promise
+* that is rejected w/ the given error when cancel(error) is invoked and
+* 'processes' holds the shell processes of its current attempt
+*/
+function newReactionContext() {
+    var reaction = {};
+    reaction.processes = new Map(); // pool name -> Promise of the ProcessProxy held, see _acquireProcess()
+    reaction.cancelled = new Promise(function(resolve, reject) {
+        reaction.cancel = reject;
+    });
+    reaction.cancelled.catch(function() {}); // only ever observed via Promise.race()
+    return reaction;
+}
+
+/**
+* Normalizes pluginConfig.statefulProcessCommandProxy, either a single {config|instance} or a
+* map of pool names to {config|instance, shell}, to a Map of pool name -> pool. A single proxy
+* is the pool named 'default'. The proxies themselves are not constructed.
+*
+* @param pluginConfig - the ShellExecReactorPlugin config
+* @return Map of name -> {name, shell, config, instance, proxy:null, ownsProxy:false}
+*/
+function toPools(pluginConfig) {
+    var proxyConfig = pluginConfig.statefulProcessCommandProxy;
+    var pools = new Map();
+
+    if (proxyConfig == null || typeof(proxyConfig) != 'object') {
+        throw new Error("pluginConfig.statefulProcessCommandProxy must contain either 'instance' or 'config', or be a map of named pools that each do");
+    }
+
+    var isSingle = (typeof(proxyConfig.config) != 'undefined' || typeof(proxyConfig.instance) != 'undefined');
+    var poolConfigs = (isSingle ? {'default': proxyConfig} : proxyConfig);
+
+    for (let name of Object.keys(poolConfigs)) {
+        var poolConfig = poolConfigs[name];
+        var where = "pluginConfig.statefulProcessCommandProxy" + (isSingle ? "" : "." + name);
+
+        if (poolConfig == null || typeof(poolConfig) != 'object' || (poolConfig.config == null && poolConfig.instance == null)) {
+            throw new Error(where + " must contain either 'instance' or 'config'");
+        }
+
+        pools.set(name, {
+            'name': name,
+            'shell': shells.resolveShell({'shell': poolConfig.shell || pluginConfig.shell, 'statefulProcessCommandProxy': poolConfig}),
+            'config': poolConfig.config,
+            'instance': poolConfig.instance,
+            'proxy': null,
+            'ownsProxy': false
+        });
+    }
+
+    if (pools.size == 0) {
+        throw new Error("pluginConfig.statefulProcessCommandProxy must contain either 'instance' or 'config', or be a map of named pools that each do");
+    }
+
+    return pools;
+}
+
+/**
+* Describes why a reaction attempt failed, for the onFailure templates/generator
+*
+* @param failureType - the ReactorResult failureType
+* @param message - the ReactorResult message
+* @param command - the command that failed, or null if unknown
+* @param cmdResult - optional, the failed command's result
+* @return object {failureType, message, command, exitCode, stdout, stderr}
+*/
+function newFailure(failureType, message, command, cmdResult) {
+    return {
+        'failureType': failureType,
+        'message': message,
+        'command': command,
+        'exitCode': (cmdResult ? cmdResult.exitCode : null),
+        'stdout': (cmdResult ? cmdResult.stdout : null),
+        'stderr': (cmdResult ? cmdResult.stderr : null)
+    };
+}
+
+/**
+* Returns the template string of a commandTemplates entry, which is
+* either a string or an object w/ a 'template' property, or for an
+* object w/ an 'argv' its elements joined by spaces (for display only)
+*/
+function templateOf(templateEntry) {
+    if (typeof(templateEntry) == 'object' && templateEntry != null && Array.isArray(templateEntry.argv)) {
+        return templateEntry.argv.join(' ');
+    }
+    return (typeof(templateEntry) == 'string' ? templateEntry : templateEntry.template);
+}
+
+/**
+* Normalizes a command, either a string or an object w/ a 'command' or 'argv' property,
+* to a command spec {command, argv, cwd, env, timeoutMS, output, failOnParseError, pool}.
+* The 'command' of an argv spec is its argv quoted for display, see shells.argvToString()
+*
+* @param commandOrSpec - a command string, a command spec or a commandTemplates entry
+* @param renderedCommand - optional, the rendered command when commandOrSpec is a commandTemplates entry
+*/
+function toCommandSpec(commandOrSpec, renderedCommand) {
+    var command = (typeof(renderedCommand) == 'string' ? renderedCommand :
+                    (typeof(commandOrSpec) == 'string' ? commandOrSpec : commandOrSpec.command));
+
+    var argv = (typeof(renderedCommand) != 'string' && typeof(commandOrSpec) == 'object' ? commandOrSpec.argv : undefined);
+    if (typeof(argv) != 'undefined') {
+        if (!Array.isArray(argv) || argv.length == 0 || !argv.every(function(arg) { return typeof(arg) == 'string'; })) {
+            throw new Error("command 'argv' must be a non-empty array of strings, got: " + JSON.stringify(argv));
+        }
+        command = shells.argvToString(argv);
+    }
+
+    if (typeof(command) != 'string') {
+        throw new Error("commands must be a string or an object w/ a 'command' string or 'argv' array property, got: " + JSON.stringify(commandOrSpec));
+    }
+
+    var commandSpec = {'command': command};
+    if (typeof(commandOrSpec) != 'object') {
+        return commandSpec;
+    }
+
+    if (argv) {
+        commandSpec.argv = argv;
+
+        if (typeof(commandOrSpec.cwd) == 'string') {
+            commandSpec.cwd = commandOrSpec.cwd;
+        }
+
+        if (commandOrSpec.env) {
+            commandSpec.env = {};
+            for (let name of Object.keys(commandOrSpec.env)) {
+                commandSpec.env[name] = String(commandOrSpec.env[name]);
+            }
+        }
+    }
+
+    if (typeof(commandOrSpec.timeoutMS) == 'number') {
+        commandSpec.timeoutMS = commandOrSpec.timeoutMS;
+    }
+
+    if (typeof(commandOrSpec.output) != 'undefined') {
+        if (OUTPUT_MODES.indexOf(commandOrSpec.output) == -1) {
+            throw new Error("command 'output' must be one of " + OUTPUT_MODES.join(', ') + ", got: " + commandOrSpec.output);
+        }
+        commandSpec.output = commandOrSpec.output;
+    }
+
+    if (commandOrSpec.failOnParseError === true) {
+        commandSpec.failOnParseError = true;
+    }
+
+    if (typeof(commandOrSpec.pool) == 'string') {
+        commandSpec.pool = commandOrSpec.pool;
+    }
+
+    return commandSpec;
+}
+
+/**
+* Parses a command's stdout according to its output mode
+*
+* @param outputMode - 'text', 'json' or 'lines'
+* @param stdout - the command's stdout
+* @return the parsed output, throws if 'json' stdout cannot be parsed
+*/
+function parseOutput(outputMode, stdout) {
+    if (outputMode == 'json') {
+        return JSON.parse(stdout);
+    }
+
+    if (outputMode == 'lines') {
+        return (stdout ? stdout.split(/\r?\n/) : []);
+    }
+
+    return stdout;
+}
+
+/**
+* Constructs an Error for a reaction that did not complete
+* w/ the given failureType (i.e. 'timeout' or 'cancelled')
+*/
+function reactionError(failureType, message) {
+    var error = new Error(message);
+    error.failureType = failureType;
+    return error;
+}
+
+/**
+* Constructs the Error rejected by _collectCommands()
+*/
+function collectionError(failureType, message, cause) {
+    var error = new Error(message);
+    error.failureType = failureType;
+    error.cause = cause;
+    return error;
 }
 
 module.exports = ShellExecReactorPlugin;
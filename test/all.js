@@ -9,6 +9,9 @@ var uuid = require('node-uuid');
 var EvaluatorUtil = require('io-event-reactor/ioReactor').EvaluatorUtil;
 var IoEvent = require('io-event-reactor-plugin-support').IoEvent;
 var IoReactorService = require('io-event-reactor');
+var ShellExecReactorPlugin = require('../shellExecReactorPlugin');
+var ExecutionJournal = require('../lib/executionJournal');
+var CommandPolicy = require('../lib/commandPolicy');
 
 
 // setup our tmpdir where event info will be echo'd too
@@ -100,12 +103,44 @@ function generateConfig(shellConfig, evaluatorFunction, monitorTriggerConfigs) {
         };
 };
 
+/**
+* Constructs a ShellExecReactorPlugin directly (outside of an IoReactorService) for the current platform
+*
+* @param shellConfig - one of the shellConfigs below
+* @param pluginConfig - plugin config properties, 'statefulProcessCommandProxy' will be generated from shellConfig
+*/
+function newShellExecReactorPlugin(shellConfig, pluginConfig) {
+    pluginConfig.statefulProcessCommandProxy = {
+        config: {
+            name: "shell-exec-plugin-test",
+            max: 1,
+            min: 1,
+            idleTimeoutMS: 120000,
+            logFunction: logger,
+            processCommand: shellConfig.processCommand,
+            processArgs:  shellConfig.processArgs,
+            processRetainMaxCmdHistory : 10,
+            processCwd : './',
+            validateFunction: function(processProxy) {
+                return processProxy.isValid();
+            }
+        }
+    };
+
+    var plugin = new ShellExecReactorPlugin('shellExecTest', 'ioReactor-test2', logger, errorCallback, function() {}, pluginConfig);
+    createdPlugins.push(plugin);
+    return plugin;
+};
+
+// every plugin created by newShellExecReactorPlugin(), shutdown() after all tests
+var createdPlugins = [];
+
 var shellConfigs = {
     windows: {
         processCommand: 'C:\\Windows\\System32\\WindowsPowerShell\\v1.0\\powershell.exe',
         processArgs: ['-Command', '-'],
         commandTemplates: [
-            '"{{{ioEvent.eventType}}}" | Out-File -FilePath '+targetTmpDir+'/{{ioEvent.uuid}}'
+            '{{ioEvent.eventType}} | Out-File -FilePath '+targetTmpDir+'/{{{rawIoEvent.uuid}}}'
         ],
         commandGenerator: function(ioEvent) {
           return [('"'+ioEvent.eventType+'" | Out-File -FilePath '+targetTmpDir+'/'+ioEvent.uuid)];
@@ -115,7 +150,7 @@ var shellConfigs = {
         processCommand: '/bin/bash',
         processArgs: ['-s'],
         commandTemplates: [
-            'echo "{{{ioEvent.eventType}}}" > '+targetTmpDir+'/{{ioEvent.uuid}}'
+            'echo {{ioEvent.eventType}} > '+targetTmpDir+'/{{{rawIoEvent.uuid}}}'
         ],
         commandGenerator: function(ioEvent) {
           return [('echo "'+ioEvent.eventType+'" > '+targetTmpDir+'/gen_'+ioEvent.uuid)];
@@ -127,6 +162,20 @@ var shellConfigs = {
 
 describe('shell-exec-reactor-test', function() {
 
+    after(function(done) {
+        this.timeout(10000);
+
+        Promise.all(createdPlugins.map(function(plugin) {
+            return plugin.shutdown(5000);
+
+        })).then(function() {
+            done();
+
+        }).catch(function(e) {
+            done(e);
+        });
+    });
+
     it('Start a mock monitor, validate that a few simple events pass the monitor -> evaluator -> ShellExec reactor engine flow', function(done) {
 
         this.timeout(5000);
@@ -203,4 +252,1306 @@ describe('shell-exec-reactor-test', function() {
 
     });
 
+    it('Commands report exit codes and a non-zero exit fails the ReactorResult per the failurePolicy', function(done) {
+
+        this.timeout(5000);
+
+        var isWin = /^win/.test(process.platform);
+        var shellConfig = (isWin ? shellConfigs['windows'] : shellConfigs['nix']);
+
+        var plugin = newShellExecReactorPlugin(shellConfig, {
+            commandTemplates: [
+                'echo {{ioEvent.eventType}}',
+                (isWin ? 'cmd /c exit 3' : '(exit 3)'),
+                'echo "never reached"'
+            ]
+        });
+
+        plugin.react(new IoEvent('add','/tmp/testFile1',{size:100},null))
+            .then(function(reactorResult) {
+                done("Expected the reaction to fail");
+
+            }).catch(function(reactorResult) {
+                try {
+                    assert.equal(reactorResult.commandResults.length,2);
+                    assert.equal(reactorResult.commandResults[0].stdout,'add');
+                    assert.equal(reactorResult.commandResults[0].exitCode,0);
+                    assert.equal(reactorResult.commandResults[1].exitCode,3);
+                    assert.ok(reactorResult.commandResults[1].durationMs >= 0);
+                    done();
+                } catch(e) {
+                    done(e);
+                }
+            });
+
+    });
+
+    it('All the commands of a reaction execute on the same shell process, even w/ a pool of several', function(done) {
+
+        this.timeout(10000);
+
+        var isWin = /^win/.test(process.platform);
+        var shellConfig = (isWin ? shellConfigs['windows'] : shellConfigs['nix']);
+        var printPidAndCwd = (isWin ? 'Write-Output "$PID $((Get-Location).Path)"' : 'echo $$ $(pwd)');
+
+        var plugin = new ShellExecReactorPlugin('shellExecTest', 'ioReactor-test2', logger, errorCallback, function() {}, {
+            statefulProcessCommandProxy: {
+                config: {
+                    name: "shell-exec-plugin-test-affinity",
+                    max: 2,
+                    min: 2,
+                    idleTimeoutMS: 120000,
+                    logFunction: logger,
+                    processCommand: shellConfig.processCommand,
+                    processArgs:  shellConfig.processArgs,
+                    validateFunction: function(processProxy) {
+                        return processProxy.isValid();
+                    }
+                }
+            },
+            commandTemplates: [
+                'cd ' + targetTmpDir,
+                printPidAndCwd,
+                (isWin ? 'Start-Sleep -Milliseconds 100' : 'sleep 0.1'),
+                printPidAndCwd
+            ],
+            finallyTemplates: [
+                printPidAndCwd
+            ]
+        });
+        createdPlugins.push(plugin);
+
+        var reactions = [1,2,3,4].map(function(i) {
+            return plugin.react(new IoEvent('add','/tmp/testFile'+i,{size:100},null));
+        });
+
+        Promise.all(reactions)
+            .then(function(reactorResults) {
+                for (let reactorResult of reactorResults) {
+                    var printed = [reactorResult.commandResults[1].stdout,
+                                   reactorResult.commandResults[3].stdout,
+                                   reactorResult.finally.commandResults[0].stdout];
+
+                    var pid = printed[0].split(' ')[0];
+                    for (let output of printed) {
+                        assert.equal(output, pid + ' ' + fs.realpathSync(targetTmpDir));
+                    }
+                }
+                done();
+
+            }).catch(function(e) {
+                done(e);
+            });
+
+    });
+
+    it('The exit code is captured when a command\'s output does not end w/ a newline', function(done) {
+
+        this.timeout(5000);
+
+        var isWin = /^win/.test(process.platform);
+        var shellConfig = (isWin ? shellConfigs['windows'] : shellConfigs['nix']);
+
+        var plugin = newShellExecReactorPlugin(shellConfig, {
+            commandTemplates: [
+                (isWin ? '[Console]::Out.Write("foo"); cmd /c exit 1' : 'printf foo; false')
+            ]
+        });
+
+        plugin.react(new IoEvent('add','/tmp/testFile1',{size:100},null))
+            .then(function(reactorResult) {
+                done("Expected the reaction to fail");
+
+            }).catch(function(reactorResult) {
+                try {
+                    assert.equal(reactorResult.commandResults.length,1);
+                    assert.equal(reactorResult.commandResults[0].stdout,'foo');
+                    assert.equal(reactorResult.commandResults[0].exitCode,1);
+                    done();
+                } catch(e) {
+                    done(e);
+                }
+            });
+
+    });
+
+    it('ioEvent values are quoted for the shell so filenames cannot inject commands', function(done) {
+
+        this.timeout(5000);
+
+        var isWin = /^win/.test(process.platform);
+        var shellConfig = (isWin ? shellConfigs['windows'] : shellConfigs['nix']);
+
+        var plugin = newShellExecReactorPlugin(shellConfig, {
+            commandTemplates: [
+                'echo {{{ioEvent.fullPath}}}'
+            ]
+        });
+
+        var maliciousPath = "/tmp/testFile1'; echo injected; echo '";
+
+        plugin.react(new IoEvent('add',maliciousPath,{size:100},null))
+            .then(function(reactorResult) {
+                assert.equal(reactorResult.commandResults.length,1);
+                assert.equal(reactorResult.commandResults[0].stdout,maliciousPath);
+                done();
+
+            }).catch(function(e) {
+                done(e);
+            });
+
+    });
+
+    it('ioEvent placeholders within quotes are rejected as the shell would expand their values', function(done) {
+
+        this.timeout(5000);
+
+        var isWin = /^win/.test(process.platform);
+        var shellConfig = (isWin ? shellConfigs['windows'] : shellConfigs['nix']);
+
+        var errors = [];
+        var rejectingPlugin = new ShellExecReactorPlugin('shellExecTest', 'ioReactor-test2', logger, function(message, error) {
+            errors.push(message);
+        }, function() {}, {
+            statefulProcessCommandProxy: {
+                config: {
+                    name: "shell-exec-plugin-test-quoted",
+                    max: 1,
+                    min: 1,
+                    idleTimeoutMS: 120000,
+                    logFunction: logger,
+                    processCommand: shellConfig.processCommand,
+                    processArgs:  shellConfig.processArgs,
+                    validateFunction: function(processProxy) {
+                        return processProxy.isValid();
+                    }
+                }
+            },
+            commandTemplates: [
+                'echo "{{{ioEvent.fullPath}}}"'
+            ]
+        });
+        createdPlugins.push(rejectingPlugin);
+
+        assert.equal(errors.length,1);
+        assert.ok(errors[0].indexOf('ioEvent.fullPath within quotes') != -1, errors[0]);
+
+        // unquoted, the value is a single literal argument, quotes within a comment are just text
+        var plugin = newShellExecReactorPlugin(shellConfig, {
+            commandTemplates: [
+                'echo {{{ioEvent.fullPath}}} # it\'s echoed'
+            ]
+        });
+
+        var maliciousPath = "/tmp/a$(echo PWNED)";
+
+        // the misconfigured plugin rejects every reaction rather than doing nothing
+        rejectingPlugin.react(new IoEvent('add',maliciousPath,{size:100},null))
+            .then(function(reactorResult) {
+                throw new Error("Expected the misconfigured plugin's reaction to fail");
+
+            }, function(reactorResult) {
+                assert.equal(reactorResult.failureType,'render');
+                assert.equal(reactorResult.commandResults.length,0);
+
+                return plugin.react(new IoEvent('add',maliciousPath,{size:100},null));
+
+            }).then(function(reactorResult) {
+                assert.equal(reactorResult.commandResults[0].stdout,maliciousPath);
+                done();
+
+            }).catch(function(e) {
+                done(e);
+            });
+
+    });
+
+    it('templateEscaping none inserts values as is, also as rawIoEvent', function(done) {
+
+        this.timeout(5000);
+
+        var isWin = /^win/.test(process.platform);
+        var shellConfig = (isWin ? shellConfigs['windows'] : shellConfigs['nix']);
+
+        var plugin = newShellExecReactorPlugin(shellConfig, {
+            templateEscaping: 'none',
+            commandTemplates: [
+                'echo {{{ioEvent.fullPath}}}',
+                'echo {{{rawIoEvent.fullPath}}}'
+            ]
+        });
+
+        plugin.react(new IoEvent('add','/tmp/testFile1',{size:100},null))
+            .then(function(reactorResult) {
+                assert.equal(reactorResult.commandResults.length,2);
+                assert.equal(reactorResult.commandResults[0].stdout,'/tmp/testFile1');
+                assert.equal(reactorResult.commandResults[1].stdout,'/tmp/testFile1');
+                done();
+
+            }).catch(function(e) {
+                done(e);
+            });
+
+    });
+
+    it('Routed commandTemplates only execute the templates of the route matching the IoEvent', function(done) {
+
+        this.timeout(5000);
+
+        var isWin = /^win/.test(process.platform);
+        var shellConfig = (isWin ? shellConfigs['windows'] : shellConfigs['nix']);
+
+        var plugin = newShellExecReactorPlugin(shellConfig, {
+            commandTemplates: {
+                mode: 'firstMatch',
+                routes: [
+                    { eventTypes: ['unlink'], commandTemplates: ['echo unlinked'] },
+                    { filename: '*.zip', commandTemplates: ['echo zip1', 'echo zip2'] },
+                    { commandTemplates: ['echo other'] }
+                ]
+            }
+        });
+
+        Promise.all([
+            plugin.react(new IoEvent('unlink','/tmp/testFile1.zip',{size:100},null)),
+            plugin.react(new IoEvent('add','/tmp/testFile1.zip',{size:100},null)),
+            plugin.react(new IoEvent('add','/tmp/testFile1.txt',{size:100},null))
+
+        ]).then(function(reactorResults) {
+            var stdouts = reactorResults.map(function(reactorResult) {
+                return reactorResult.commandResults.map(function(cmdResult) { return cmdResult.stdout; });
+            });
+            assert.deepEqual(stdouts,[['unlinked'],['zip1','zip2'],['other']]);
+            done();
+
+        }).catch(function(e) {
+            done(e);
+        });
+
+    });
+
+    it('A commandGenerator may return a Promise, a rejection fails the ReactorResult', function(done) {
+
+        this.timeout(5000);
+
+        var isWin = /^win/.test(process.platform);
+        var shellConfig = (isWin ? shellConfigs['windows'] : shellConfigs['nix']);
+
+        var plugin = newShellExecReactorPlugin(shellConfig, {
+            commandGenerator: function(ioEvent) {
+                return new Promise(function(resolve, reject) {
+                    setTimeout(function() {
+                        if (ioEvent.filename == 'testFileBad') {
+                            reject(new Error("bad file"));
+                        } else {
+                            resolve(['echo generated']);
+                        }
+                    },50);
+                });
+            }
+        });
+
+        plugin.react(new IoEvent('add','/tmp/testFile1',{size:100},null))
+            .then(function(reactorResult) {
+                assert.equal(reactorResult.commandResults[0].stdout,'generated');
+
+                return plugin.react(new IoEvent('add','/tmp/testFileBad',{size:100},null))
+                    .then(function(reactorResult) {
+                        done("Expected the reaction to fail");
+
+                    }, function(reactorResult) {
+                        assert.equal(reactorResult.success,false);
+                        done();
+                    });
+
+            }).catch(function(e) {
+                done(e);
+            });
+
+    });
+
+    it('Failed reactions are retried, dead-lettered after the last attempt and can be replayed', function(done) {
+
+        this.timeout(10000);
+
+        var isWin = /^win/.test(process.platform);
+        var shellConfig = (isWin ? shellConfigs['windows'] : shellConfigs['nix']);
+
+        var deadLetterPath = targetTmpDir + '/dead-letters.jsonl';
+        var succeedAfterPath = targetTmpDir + '/succeed-after';
+
+        var plugin = newShellExecReactorPlugin(shellConfig, {
+            retry: {
+                maxAttempts: 2,
+                initialDelayMS: 50
+            },
+            deadLetter: {
+                path: deadLetterPath
+            },
+            commandTemplates: [
+                (isWin ? 'if (!(Test-Path '+succeedAfterPath+')) { cmd /c exit 1 }' : 'test -f '+succeedAfterPath)
+            ]
+        });
+
+        plugin.react(new IoEvent('add','/tmp/testFile1',{size:100},null))
+            .then(function(reactorResult) {
+                done("Expected the reaction to fail");
+
+            }, function(reactorResult) {
+                assert.equal(reactorResult.attempts,2);
+                assert.equal(reactorResult.failureType,'command');
+
+                var deadLetters = fs.readFileSync(deadLetterPath,'utf8').trim().split('\n');
+                assert.equal(deadLetters.length,1);
+                assert.equal(JSON.parse(deadLetters[0]).ioEvent.fullPath,'/tmp/testFile1');
+
+                fs.writeFileSync(succeedAfterPath,'');
+
+                return plugin.replayDeadLetters()
+                    .then(function(summary) {
+                        assert.equal(summary.replayed,1);
+                        assert.equal(summary.succeeded,1);
+                        assert.equal(fs.existsSync(deadLetterPath),false);
+
+                        fs.unlinkSync(succeedAfterPath);
+                        done();
+                    });
+
+            }).catch(function(e) {
+                done(e);
+            });
+
+    });
+
+    it('Dead letters being replayed are kept until they settle and leftovers of an earlier replay are replayed', function(done) {
+
+        this.timeout(10000);
+
+        var isWin = /^win/.test(process.platform);
+        var shellConfig = (isWin ? shellConfigs['windows'] : shellConfigs['nix']);
+
+        var deadLetterPath = targetTmpDir + '/dead-letters-taken.jsonl';
+
+        var toEntry = function(filename, command) {
+            return JSON.stringify({'ioEvent': {'eventType': 'add', 'fullPath': '/tmp/' + filename, 'filename': filename},
+                                   'commands': [{'command': command}]}) + '\n';
+        };
+
+        // left behind by a replay that never completed
+        fs.writeFileSync(deadLetterPath + '.taken-1000-1', toEntry('leftover', 'echo leftover'));
+        fs.writeFileSync(deadLetterPath, toEntry('failing', (isWin ? 'cmd /c exit 1' : '(exit 1)')) +
+                                         toEntry('cancelled', (isWin ? 'Start-Sleep -Seconds 5' : 'sleep 5')));
+
+        var plugin = newShellExecReactorPlugin(shellConfig, {
+            deadLetter: {
+                path: deadLetterPath
+            },
+            commandTemplates: [
+                'echo {{ioEvent.eventType}}'
+            ]
+        });
+
+        var takenFiles = function() {
+            return fs.readdirSync(targetTmpDir).filter(function(filename) {
+                return filename.indexOf('dead-letters-taken.jsonl.taken-') == 0;
+            });
+        };
+
+        var takenWhileReplaying = null;
+        setTimeout(function() {
+            takenWhileReplaying = takenFiles();
+            plugin.cancelAll('test');
+        }, 1000);
+
+        plugin.replayDeadLetters()
+            .then(function(summary) {
+                assert.equal(summary.replayed,3);
+                assert.equal(summary.succeeded,1);
+                assert.equal(summary.failed,2);
+                assert.equal(summary.reactorResults[0].commandResults[0].stdout,'leftover');
+                assert.equal(summary.reactorResults[2].failureType,'cancelled');
+
+                assert.equal(takenWhileReplaying.length,2);
+                assert.equal(takenFiles().length,0);
+
+                // the failed and the cancelled entry are back in the dead-letter file
+                var deadLetters = fs.readFileSync(deadLetterPath,'utf8').trim().split('\n').map(function(line) {
+                    return JSON.parse(line).ioEvent.filename;
+                });
+                assert.deepEqual(deadLetters.sort(),['cancelled','failing']);
+
+                fs.unlinkSync(deadLetterPath);
+                done();
+
+            }).catch(function(e) {
+                done(e);
+            });
+
+    });
+
+    it('Unparsable dead-letter lines are moved to the .corrupt file and the rest are replayed', function(done) {
+
+        this.timeout(5000);
+
+        var isWin = /^win/.test(process.platform);
+        var shellConfig = (isWin ? shellConfigs['windows'] : shellConfigs['nix']);
+
+        var deadLetterPath = targetTmpDir + '/dead-letters-corrupt.jsonl';
+
+        // the last line was half written when the process died
+        fs.writeFileSync(deadLetterPath, JSON.stringify({'ioEvent': {'eventType': 'add', 'fullPath': '/tmp/ok', 'filename': 'ok'},
+                                                          'commands': [{'command': 'echo ok'}]}) + '\n' +
+                                         '{"ioEvent":{"eventType":"add","fullP');
+
+        var plugin = newShellExecReactorPlugin(shellConfig, {
+            deadLetter: {
+                path: deadLetterPath
+            },
+            commandTemplates: [
+                'echo {{ioEvent.eventType}}'
+            ]
+        });
+
+        plugin.replayDeadLetters()
+            .then(function(summary) {
+                assert.equal(summary.replayed,1);
+                assert.equal(summary.succeeded,1);
+                assert.equal(summary.corrupt,1);
+                assert.equal(summary.reactorResults[0].commandResults[0].stdout,'ok');
+                assert.deepEqual(plugin.getMetrics().reactions,{started:{add:1},succeeded:{add:1},failed:{}});
+
+                assert.equal(fs.readFileSync(deadLetterPath + '.corrupt','utf8'),'{"ioEvent":{"eventType":"add","fullP\n');
+                assert.equal(fs.existsSync(deadLetterPath),false);
+
+                // nothing is left to replay
+                return plugin.replayDeadLetters();
+
+            }).then(function(summary) {
+                assert.equal(summary.replayed,0);
+                assert.equal(summary.corrupt,0);
+
+                fs.unlinkSync(deadLetterPath + '.corrupt');
+                done();
+
+            }).catch(function(e) {
+                done(e);
+            });
+
+    });
+
+    it('Events for the same path within the debounce window are coalesced into one reaction', function(done) {
+
+        this.timeout(5000);
+
+        var isWin = /^win/.test(process.platform);
+        var shellConfig = (isWin ? shellConfigs['windows'] : shellConfigs['nix']);
+
+        var plugin = newShellExecReactorPlugin(shellConfig, {
+            debounce: {
+                windowMS: 200
+            },
+            commandTemplates: [
+                'echo {{ioEvent.eventType}}'
+            ]
+        });
+
+        Promise.all([
+            plugin.react(new IoEvent('change','/tmp/testFile1',{size:100},null)),
+            plugin.react(new IoEvent('change','/tmp/testFile1',{size:200},null)),
+            plugin.react(new IoEvent('unlink','/tmp/testFile1',{size:300},null)),
+            plugin.react(new IoEvent('change','/tmp/testFile2',{size:100},null))
+
+        ]).then(function(reactorResults) {
+            assert.strictEqual(reactorResults[0],reactorResults[2]);
+            assert.equal(reactorResults[0].coalescedCount,3);
+            assert.equal(reactorResults[0].commandResults[0].stdout,'unlink');
+            assert.equal(reactorResults[3].coalescedCount,1);
+            done();
+
+        }).catch(function(e) {
+            done(e);
+        });
+
+    });
+
+    it('Reactions for the same path execute in arrival order and the queue is bounded', function(done) {
+
+        this.timeout(5000);
+
+        var isWin = /^win/.test(process.platform);
+        var shellConfig = (isWin ? shellConfigs['windows'] : shellConfigs['nix']);
+
+        var plugin = newShellExecReactorPlugin(shellConfig, {
+            scheduler: {
+                maxConcurrent: 1,
+                maxQueued: 2,
+                overflowPolicy: 'rejectNew'
+            },
+            commandTemplates: [
+                (isWin ? 'Start-Sleep -Milliseconds 200; echo {{ioEvent.eventType}}' : 'sleep 0.2; echo {{ioEvent.eventType}}')
+            ]
+        });
+
+        var completed = [];
+        var track = function(reactorResult) {
+            completed.push(reactorResult.ioEvent.eventType);
+            return reactorResult;
+        };
+
+        var reactions = [
+            plugin.react(new IoEvent('add','/tmp/testFile1',{size:100},null)).then(track),
+            plugin.react(new IoEvent('change','/tmp/testFile1',{size:100},null)).then(track),
+            plugin.react(new IoEvent('unlink','/tmp/testFile1',{size:100},null)).then(track),
+            plugin.react(new IoEvent('add','/tmp/testFile2',{size:100},null)).then(track, function(reactorResult) {
+                return reactorResult;
+            })
+        ];
+
+        assert.deepEqual(plugin.getQueueStatus(),{queued:2,inFlight:1,debouncing:0});
+
+        Promise.all(reactions)
+            .then(function(reactorResults) {
+                assert.deepEqual(completed,['add','change','unlink']);
+                assert.equal(reactorResults[3].failureType,'overflow');
+                done();
+
+            }).catch(function(e) {
+                done(e);
+            });
+
+    });
+
+    it('A command exceeding its timeout fails the reaction and the pool recovers', function(done) {
+
+        this.timeout(10000);
+
+        var isWin = /^win/.test(process.platform);
+        var shellConfig = (isWin ? shellConfigs['windows'] : shellConfigs['nix']);
+
+        var plugin = newShellExecReactorPlugin(shellConfig, {
+            reactionTimeoutMS: 5000,
+            commandTemplates: [
+                { template: (isWin ? 'Start-Sleep -Seconds {{{rawIoEvent.optionalExtraInfo}}}; echo done' : 'sleep {{{rawIoEvent.optionalExtraInfo}}}; echo done'),
+                  timeoutMS: 500 }
+            ]
+        });
+
+        plugin.react(new IoEvent('add','/tmp/testFile1',{size:100},'10'))
+            .then(function(reactorResult) {
+                done("Expected the reaction to time out");
+
+            }, function(reactorResult) {
+                assert.equal(reactorResult.failureType,'timeout');
+
+                // the hung shell was recycled, the (max:1) pool can still execute commands
+                return plugin.react(new IoEvent('add','/tmp/testFile1',{size:100},'0'))
+                    .then(function(reactorResult) {
+                        assert.equal(reactorResult.commandResults[0].stdout,'done');
+                        done();
+                    });
+
+            }).catch(function(e) {
+                done(e);
+            });
+
+    });
+
+    it('A timed out command\'s child processes are killed along w/ its shell', function(done) {
+
+        this.timeout(10000);
+
+        if (/^win/.test(process.platform)) {
+            this.skip();
+        }
+
+        var plugin = newShellExecReactorPlugin(shellConfigs['nix'], {
+            commandTemplates: [
+                { template: 'sleep 7 & echo $! > ' + targetTmpDir + '/{{{rawIoEvent.uuid}}}.pid; wait', timeoutMS: 500 }
+            ]
+        });
+
+        var ioEvent = new IoEvent('add','/tmp/testFile1',{size:100},null);
+
+        plugin.react(ioEvent)
+            .then(function(reactorResult) {
+                done("Expected the reaction to time out");
+
+            }, function(reactorResult) {
+                assert.equal(reactorResult.failureType,'timeout');
+
+                var childPid = parseInt(fs.readFileSync(targetTmpDir + '/' + ioEvent.uuid + '.pid', 'utf8'), 10);
+
+                // give init a moment to reap it, a container's init may never do so and leave a zombie
+                setTimeout(function() {
+                    try {
+                        var gone = false;
+                        try {
+                            process.kill(childPid, 0);
+                            var stat = fs.readFileSync('/proc/' + childPid + '/stat', 'utf8');
+                            gone = (stat.substring(stat.lastIndexOf(')') + 2)[0] == 'Z');
+                        } catch(e) {
+                            gone = (e.code == 'ESRCH');
+                        }
+                        assert.ok(gone, "child process pid[" + childPid + "] is still running");
+                        done();
+                    } catch(e) {
+                        done(e);
+                    }
+                }, 500);
+
+            }).catch(function(e) {
+                done(e);
+            });
+
+    });
+
+    it('shutdown() drains pending reactions, then rejects new ones', function(done) {
+
+        this.timeout(5000);
+
+        var isWin = /^win/.test(process.platform);
+        var shellConfig = (isWin ? shellConfigs['windows'] : shellConfigs['nix']);
+
+        var plugin = newShellExecReactorPlugin(shellConfig, {
+            commandTemplates: [
+                (isWin ? 'Start-Sleep -Milliseconds 300; echo {{ioEvent.eventType}}' : 'sleep 0.3; echo {{ioEvent.eventType}}')
+            ]
+        });
+
+        var pending = plugin.react(new IoEvent('add','/tmp/testFile1',{size:100},null));
+
+        plugin.shutdown(3000)
+            .then(function() {
+                return pending;
+
+            }).then(function(reactorResult) {
+                assert.equal(reactorResult.success,true);
+
+                return plugin.react(new IoEvent('add','/tmp/testFile1',{size:100},null))
+                    .then(function(reactorResult) {
+                        done("Expected the reaction to be rejected after shutdown");
+
+                    }, function(reactorResult) {
+                        assert.equal(reactorResult.failureType,'shutdown');
+                        done();
+                    });
+
+            }).catch(function(e) {
+                done(e);
+            });
+
+    });
+
+    it('dryRun renders commands without executing them', function(done) {
+
+        this.timeout(5000);
+
+        var isWin = /^win/.test(process.platform);
+        var shellConfig = (isWin ? shellConfigs['windows'] : shellConfigs['nix']);
+
+        var plugin = newShellExecReactorPlugin(shellConfig, {
+            dryRun: true,
+            commandTemplates: shellConfig.commandTemplates,
+            commandGenerator: shellConfig.commandGenerator
+        });
+
+        var ioEvent = new IoEvent('add','/tmp/testFile1',{size:100},null);
+
+        plugin.react(ioEvent)
+            .then(function(reactorResult) {
+                assert.equal(reactorResult.dryRun,true);
+                assert.equal(reactorResult.commands.length,2);
+                assert.equal(reactorResult.commandResults.length,0);
+
+                // nothing was written
+                assert.equal(fs.existsSync(targetTmpDir+'/'+ioEvent.uuid),false);
+                done();
+
+            }).catch(function(e) {
+                done(e);
+            });
+
+    });
+
+    it('getMetrics() counts reactions by eventType and exposes them as prometheus text', function(done) {
+
+        this.timeout(5000);
+
+        var isWin = /^win/.test(process.platform);
+        var shellConfig = (isWin ? shellConfigs['windows'] : shellConfigs['nix']);
+
+        var plugin = newShellExecReactorPlugin(shellConfig, {
+            commandTemplates: [
+                'echo {{ioEvent.eventType}}'
+            ],
+            commandGenerator: function(ioEvent) {
+                if (ioEvent.eventType == 'unlink') {
+                    throw new Error("generator error");
+                }
+                return [];
+            }
+        });
+
+        Promise.all([
+            plugin.react(new IoEvent('add','/tmp/testFile1',{size:100},null)),
+            plugin.react(new IoEvent('unlink','/tmp/testFile2',{size:100},null)).catch(function(reactorResult) {
+                return reactorResult;
+            })
+
+        ]).then(function() {
+            var metrics = plugin.getMetrics();
+            assert.deepEqual(metrics.reactions,{started:{add:1,unlink:1},succeeded:{add:1},failed:{unlink:1}});
+            assert.equal(metrics.commands.executed,1);
+            assert.equal(metrics.errors.generator,1);
+
+            var prometheus = plugin.getMetrics('prometheus');
+            assert.ok(prometheus.indexOf('shell_exec_reactor_reactions_failed_total{reactor_id="ioReactor-test2",plugin_id="shellExecTest",event_type="unlink"} 1') != -1);
+            assert.ok(prometheus.indexOf('shell_exec_reactor_command_duration_seconds_count{reactor_id="ioReactor-test2",plugin_id="shellExecTest"} 1') != -1);
+            done();
+
+        }).catch(function(e) {
+            done(e);
+        });
+
+    });
+
+    it('A command violating the commandPolicy fails the reaction and nothing executes', function(done) {
+
+        this.timeout(5000);
+
+        var isWin = /^win/.test(process.platform);
+        var shellConfig = (isWin ? shellConfigs['windows'] : shellConfigs['nix']);
+
+        var plugin = newShellExecReactorPlugin(shellConfig, {
+            commandPolicy: {
+                deny: [/rm\s+-rf/]
+            },
+            commandTemplates: shellConfig.commandTemplates,
+            commandGenerator: function(ioEvent) {
+                return ['rm -rf ' + targetTmpDir + '/nothing'];
+            }
+        });
+
+        var ioEvent = new IoEvent('add','/tmp/testFile1',{size:100},null);
+
+        plugin.react(ioEvent)
+            .then(function(reactorResult) {
+                done("Expected the reaction to fail");
+
+            }, function(reactorResult) {
+                assert.equal(reactorResult.failureType,'policy');
+                assert.equal(reactorResult.policyViolation.command,'rm -rf ' + targetTmpDir + '/nothing');
+                assert.equal(reactorResult.commandResults.length,0);
+
+                // the (permitted) template command did not execute either
+                assert.equal(fs.existsSync(targetTmpDir+'/'+ioEvent.uuid),false);
+                done();
+
+            }).catch(function(e) {
+                done(e);
+            });
+
+    });
+
+
+    it('commandPolicy allowedExecutables checks every statement and rejects command and process substitution', function(done) {
+
+        this.timeout(5000);
+
+        var policy = new CommandPolicy({ allowedExecutables: ['echo', 'cat', '/bin/ls'] }, 'posix');
+
+        // permitted
+        assert.equal(policy.check("echo a; cat b | /bin/ls && echo 'rm -rf /'"), null);
+        assert.equal(policy.check('echo "<(rm x)" \'$(rm x)\''), null);
+        assert.equal(policy.check('FOO=bar echo a > b'), null);
+        assert.equal(policy.check('cat a 2>&1 >&2 <&- &>/dev/null'), null);
+        assert.equal(policy.check("echo a # it's rm -rf /"), null);
+
+        // executables not in the list, by name or path
+        assert.ok(/rm is not one of/.test(policy.check('echo a; rm -rf /tmp/x')));
+        assert.ok(/ls is not one of/.test(policy.check('ls')));
+        assert.ok(/\/usr\/bin\/cat is not one of/.test(policy.check('/usr/bin/cat a')));
+        assert.ok(/rm is not one of/.test(policy.check('cat a 2>&1&& rm -rf /tmp/x')));
+
+        // quotes within a comment do not hide the statements on the lines after it
+        assert.ok(/touch is not one of/.test(policy.check("cat /drop/a #'\ntouch /tmp/x\n' /dst")));
+
+        // substitution hides the executables it runs
+        for (let command of ['echo $(rm -rf /tmp/x)', 'echo "`rm -rf /tmp/x`"', 'cat <(rm -rf /tmp/x)', 'echo a > >(rm -rf /tmp/x)']) {
+            assert.ok(/substitution is not permitted/.test(policy.check(command)), command);
+        }
+
+        // powershell executes any unquoted (...) or @(...)
+        var powershellPolicy = new CommandPolicy({ allowedExecutables: ['Copy-Item'] }, 'powershell');
+        assert.equal(powershellPolicy.check('Copy-Item "(a)" b 2>&1 <# ; Remove-Item c #>'), null);
+        for (let command of ['Copy-Item (Remove-Item C:\\x) C:\\y', 'Copy-Item @(Remove-Item C:\\x) C:\\y']) {
+            assert.ok(/substitution is not permitted/.test(powershellPolicy.check(command)), command);
+        }
+
+        var isWin = /^win/.test(process.platform);
+        var shellConfig = (isWin ? shellConfigs['windows'] : shellConfigs['nix']);
+
+        var plugin = newShellExecReactorPlugin(shellConfig, {
+            commandPolicy: {
+                allowedExecutables: ['echo']
+            },
+            commandTemplates: [
+                'echo {{ioEvent.eventType}}'
+            ],
+            commandGenerator: function(ioEvent) {
+                return [(isWin ? 'echo $(' : 'echo <(') + 'touch ' + targetTmpDir + '/' + ioEvent.uuid + ')'];
+            }
+        });
+
+        var ioEvent = new IoEvent('add','/tmp/testFile1',{size:100},null);
+
+        plugin.react(ioEvent)
+            .then(function(reactorResult) {
+                done("Expected the reaction to fail");
+
+            }, function(reactorResult) {
+                assert.equal(reactorResult.failureType,'policy');
+                assert.equal(reactorResult.commandResults.length,0);
+                assert.equal(fs.existsSync(targetTmpDir+'/'+ioEvent.uuid),false);
+                done();
+
+            }).catch(function(e) {
+                done(e);
+            });
+
+    });
+
+    it('Command output is parsed per its output mode and handed to onResult', function(done) {
+
+        this.timeout(5000);
+
+        var isWin = /^win/.test(process.platform);
+        var shellConfig = (isWin ? shellConfigs['windows'] : shellConfigs['nix']);
+
+        var onResultArgs = null;
+
+        var plugin = newShellExecReactorPlugin(shellConfig, {
+            commandTemplates: [
+                { template: 'echo {{ioEvent.eventType}}', output: 'lines' },
+                { template: 'echo 42', output: 'json' },
+                { template: 'echo notJson', output: 'json' }
+            ],
+            onResult: function(ioEvent, commandResults, reactorResult) {
+                onResultArgs = [ioEvent, commandResults, reactorResult];
+            }
+        });
+
+        var ioEvent = new IoEvent('add','/tmp/testFile1',{size:100},null);
+
+        plugin.react(ioEvent)
+            .then(function(reactorResult) {
+                assert.deepEqual(reactorResult.commandResults[0].output,['add']);
+                assert.strictEqual(reactorResult.commandResults[1].output,42);
+
+                // unparseable output does not fail the reaction w/out failOnParseError
+                assert.strictEqual(reactorResult.commandResults[2].output,null);
+                assert(reactorResult.commandResults[2].outputError);
+
+                assert.equal(onResultArgs[0],ioEvent);
+                assert.equal(onResultArgs[1],reactorResult.commandResults);
+                assert.equal(onResultArgs[2],reactorResult);
+                done();
+
+            }).catch(function(e) {
+                done(e);
+            });
+
+    });
+
+
+    it('commandTemplates w/ a false when predicate are skipped and recorded', function(done) {
+
+        this.timeout(5000);
+
+        var isWin = /^win/.test(process.platform);
+        var shellConfig = (isWin ? shellConfigs['windows'] : shellConfigs['nix']);
+
+        var plugin = newShellExecReactorPlugin(shellConfig, {
+            commandTemplates: [
+                { template: 'echo big', when: { minSize: 1000 } },
+                { template: 'echo text', when: { extensions: ['txt'], eventTypes: ['add'] } },
+                { template: 'echo flagged', when: { extraInfo: { 'flags.copy': true } } }
+            ]
+        });
+
+        var ioEvent = new IoEvent('add','/tmp/testFile1.TXT',{size:100},{flags:{copy:false}});
+
+        plugin.react(ioEvent)
+            .then(function(reactorResult) {
+                assert.deepEqual(reactorResult.commands.map(function(commandSpec) { return commandSpec.command; }),['echo text']);
+
+                assert.equal(reactorResult.skippedTemplates.length,2);
+                assert.equal(reactorResult.skippedTemplates[0].template,'echo big');
+                assert.deepEqual(reactorResult.skippedTemplates[0].when,{ minSize: 1000 });
+                assert(reactorResult.skippedTemplates[0].reason.indexOf('minSize') == 0);
+                assert(reactorResult.skippedTemplates[1].reason.indexOf('extraInfo') == 0);
+                done();
+
+            }).catch(function(e) {
+                done(e);
+            });
+
+    });
+
+
+    it('ioEventEnv exports the IoEvent as environment variables and clears them after', function(done) {
+
+        this.timeout(5000);
+
+        var isWin = /^win/.test(process.platform);
+        var shellConfig = (isWin ? shellConfigs['windows'] : shellConfigs['nix']);
+
+        var plugin = newShellExecReactorPlugin(shellConfig, {
+            ioEventEnv: true,
+            commandTemplates: (isWin ? ['Write-Output "$env:IO_EVENT_TYPE|$env:IO_EVENT_FULLPATH|$env:IO_EVENT_STATS_SIZE"']
+                                     : ['echo "$IO_EVENT_TYPE|$IO_EVENT_FULLPATH|$IO_EVENT_STATS_SIZE"'])
+        });
+
+        var ioEvent = new IoEvent('add',"/tmp/test File'1",{size:100},null);
+
+        plugin.react(ioEvent)
+            .then(function(reactorResult) {
+                assert.equal(reactorResult.commandResults[0].stdout,"add|/tmp/test File'1|100");
+
+                // nothing is left behind in the shell process
+                return plugin._statefulProcessCommandProxy.executeCommand(isWin ? 'Write-Output "[$env:IO_EVENT_FULLPATH]"' : 'echo "[$IO_EVENT_FULLPATH]"');
+
+            }).then(function(cmdResult) {
+                assert.equal(cmdResult.stdout.trim(),'[]');
+                done();
+
+            }).catch(function(e) {
+                done(e);
+            });
+
+    });
+
+
+    it('Every reaction is journaled and journal entries can be replayed', function(done) {
+
+        this.timeout(5000);
+
+        var isWin = /^win/.test(process.platform);
+        var shellConfig = (isWin ? shellConfigs['windows'] : shellConfigs['nix']);
+
+        var journalPath = targetTmpDir + '/journal.jsonl';
+
+        var plugin = newShellExecReactorPlugin(shellConfig, {
+            journal: {
+                path: journalPath
+            },
+            commandGenerator: function(ioEvent) {
+                return [(ioEvent.filename == 'testFile2' ? (isWin ? 'cmd /c exit 3' : '(exit 3)') : 'echo ' + ioEvent.filename)];
+            }
+        });
+
+        plugin.react(new IoEvent('add','/tmp/testFile1',{size:100},null))
+            .then(function() {
+                return plugin.react(new IoEvent('add','/tmp/testFile2',{size:100},null));
+
+            }).then(function() {
+                done("Expected the second reaction to fail");
+
+            }, function(reactorResult) {
+                var records = ExecutionJournal.read(journalPath);
+
+                assert.equal(records.length,2);
+                assert.equal(records[0].success,true);
+                assert.equal(records[0].commandResults[0].stdout,'testFile1');
+                assert.equal(records[1].success,false);
+                assert.equal(records[1].failureType,'command');
+                assert.equal(records[1].commandResults[0].exitCode,3);
+
+                // the recorded commands are executed again
+                return plugin.replay(records[0]);
+
+            }).then(function(reactorResult) {
+                assert.equal(reactorResult.commandResults[0].stdout,'testFile1');
+                assert.equal(ExecutionJournal.read(journalPath).length,3);
+
+                // replays count like any other reaction
+                assert.deepEqual(plugin.getMetrics().reactions,{started:{add:3},succeeded:{add:2},failed:{add:1}});
+                done();
+
+            }).catch(function(e) {
+                done(e);
+            });
+
+    });
+
+
+    it('Reactions rejected before executing are journaled and handed to onResult', function(done) {
+
+        this.timeout(5000);
+
+        var isWin = /^win/.test(process.platform);
+        var shellConfig = (isWin ? shellConfigs['windows'] : shellConfigs['nix']);
+
+        var journalPath = targetTmpDir + '/journal-rejected.jsonl';
+        var debouncedJournalPath = targetTmpDir + '/journal-rejected-debounced.jsonl';
+
+        var onResults = [];
+        var onResult = function(ioEvent, commandResults, reactorResult) {
+            onResults.push(reactorResult.failureType);
+        };
+
+        var plugin = newShellExecReactorPlugin(shellConfig, {
+            journal: {
+                path: journalPath
+            },
+            onResult: onResult,
+            scheduler: {
+                maxConcurrent: 1,
+                maxQueued: 1
+            },
+            commandTemplates: [
+                (isWin ? 'Start-Sleep -Seconds 5' : 'sleep 5')
+            ]
+        });
+
+        var debouncedPlugin = newShellExecReactorPlugin(shellConfig, {
+            journal: {
+                path: debouncedJournalPath
+            },
+            onResult: onResult,
+            debounce: {
+                windowMS: 5000
+            },
+            commandTemplates: [
+                'echo {{ioEvent.eventType}}'
+            ]
+        });
+
+        var failureTypeOf = function(reactorResult) {
+            return reactorResult.failureType;
+        };
+
+        // in flight, queued and overflowing
+        var reactions = ['add','change','unlink'].map(function(eventType) {
+            return plugin.react(new IoEvent(eventType,'/tmp/testFile1',{size:100},null)).then(failureTypeOf, failureTypeOf);
+        });
+
+        // coalesced into one reaction while debouncing
+        var debounced = ['add','change'].map(function(eventType) {
+            return debouncedPlugin.react(new IoEvent(eventType,'/tmp/testFile1',{size:100},null)).then(failureTypeOf, failureTypeOf);
+        });
+
+        reactions[2]
+            .then(function(failureType) {
+                assert.equal(failureType,'overflow');
+
+                plugin.cancelAll('test');
+                debouncedPlugin.cancelAll('test');
+
+                return Promise.all(reactions.concat(debounced));
+
+            }).then(function(failureTypes) {
+                assert.deepEqual(failureTypes,['cancelled','cancelled','overflow','cancelled','cancelled']);
+
+                // journaled before react() settled, the coalesced reaction once
+                assert.deepEqual(ExecutionJournal.read(debouncedJournalPath).map(failureTypeOf),['cancelled']);
+
+                return plugin.shutdown();
+
+            }).then(function() {
+                return plugin.react(new IoEvent('add','/tmp/testFile2',{size:100},null)).then(failureTypeOf, failureTypeOf);
+
+            }).then(function(failureType) {
+                assert.equal(failureType,'shutdown');
+
+                assert.deepEqual(ExecutionJournal.read(journalPath).map(failureTypeOf).sort(),['cancelled','cancelled','overflow','shutdown']);
+                assert.deepEqual(onResults.sort(),['cancelled','cancelled','cancelled','overflow','shutdown']);
+                done();
+
+            }).catch(function(e) {
+                done(e);
+            });
+
+    });
+
+
+    it('Commands execute on the named pool they target, all pools shut down together', function(done) {
+
+        this.timeout(5000);
+
+        var isWin = /^win/.test(process.platform);
+        var shellConfig = (isWin ? shellConfigs['windows'] : shellConfigs['nix']);
+
+        var newProxyConfig = function(processCwd) {
+            return {
+                name: "shell-exec-plugin-test-" + processCwd,
+                max: 1,
+                min: 1,
+                idleTimeoutMS: 120000,
+                logFunction: logger,
+                processCommand: shellConfig.processCommand,
+                processArgs:  shellConfig.processArgs,
+                processCwd : processCwd,
+                validateFunction: function(processProxy) {
+                    return processProxy.isValid();
+                }
+            };
+        };
+
+        var plugin = new ShellExecReactorPlugin('shellExecTest', 'ioReactor-test2', logger, errorCallback, function() {}, {
+            statefulProcessCommandProxy: {
+                local: { config: newProxyConfig('./') },
+                tmp: { config: newProxyConfig(targetTmpDir) }
+            },
+            commandTemplates: [
+                'echo local > pooled-local.txt',
+                { template: 'echo tmp > pooled-tmp.txt', pool: 'tmp' }
+            ],
+            commandGenerator: function(ioEvent) {
+                return [{ command: 'echo generated > pooled-generated.txt', pool: 'tmp' }];
+            }
+        });
+
+        var ioEvent = new IoEvent('add','/tmp/testFile1',{size:100},null);
+
+        plugin.react(ioEvent)
+            .then(function(reactorResult) {
+                assert.deepEqual(reactorResult.commandResults.map(function(cmdResult) { return cmdResult.pool; }),[undefined,'tmp','tmp']);
+
+                // the default (first) pool runs in ./ the other in targetTmpDir
+                assert.equal(fs.existsSync(targetTmpDir+'/pooled-local.txt'),false);
+                assert.equal(fs.existsSync(targetTmpDir+'/pooled-tmp.txt'),true);
+                assert.equal(fs.existsSync(targetTmpDir+'/pooled-generated.txt'),true);
+                fs.unlinkSync('pooled-local.txt');
+
+                return plugin.shutdown();
+
+            }).then(function() {
+                done();
+
+            }).catch(function(e) {
+                done(e);
+            });
+
+    });
+
+
+    it('onFailure commands execute after a failed command and finally commands always execute', function(done) {
+
+        this.timeout(5000);
+
+        var isWin = /^win/.test(process.platform);
+        var shellConfig = (isWin ? shellConfigs['windows'] : shellConfigs['nix']);
+
+        var plugin = newShellExecReactorPlugin(shellConfig, {
+            commandTemplates: [
+                'echo first',
+                (isWin ? 'cmd /c exit 3' : '(exit 3)'),
+                'echo never'
+            ],
+            onFailureTemplates: [
+                'echo {{failure.failureType}} {{failure.exitCode}}'
+            ],
+            finallyTemplates: [
+                'echo finally'
+            ],
+            finallyGenerator: function(ioEvent, failure) {
+                return ['echo ' + (failure ? 'generated' : 'unexpected')];
+            }
+        });
+
+        var ioEvent = new IoEvent('add','/tmp/testFile1',{size:100},null);
+
+        plugin.react(ioEvent)
+            .then(function(reactorResult) {
+                done("Expected the reaction to fail");
+
+            }, function(reactorResult) {
+                assert.equal(reactorResult.failureType,'command');
+                assert.equal(reactorResult.commandResults.length,2);
+
+                assert.equal(reactorResult.onFailure.error,null);
+                assert.equal(reactorResult.onFailure.commandResults[0].stdout,'command 3');
+
+                assert.deepEqual(reactorResult.finally.commandResults.map(function(cmdResult) { return cmdResult.stdout; }),['finally','generated']);
+                done();
+
+            }).catch(function(e) {
+                done(e);
+            });
+
+    });
+
+
+    it('The spawn backend executes argv arrays directly w/out a shell', function(done) {
+
+        this.timeout(5000);
+
+        var plugin = new ShellExecReactorPlugin('shellExecTest', 'ioReactor-test2', logger, errorCallback, function() {}, {
+            backend: 'spawn',
+            commandTemplates: [
+                { argv: [process.execPath, '-e', 'console.log(process.argv[1] + "|" + process.cwd() + "|" + process.env.EVENT_TYPE)', '{{ioEvent.fullPath}}'],
+                  cwd: targetTmpDir,
+                  env: { EVENT_TYPE: '{{ioEvent.eventType}}' } }
+            ],
+            commandGenerator: function(ioEvent) {
+                return [{ argv: [process.execPath, '-e', 'process.exit(3)'] }];
+            }
+        });
+        createdPlugins.push(plugin);
+
+        // would be a command injection if it were ever parsed by a shell
+        var ioEvent = new IoEvent('add',"/tmp/test File'1; echo $(whoami)",{size:100},null);
+
+        plugin.react(ioEvent)
+            .then(function(reactorResult) {
+                done("Expected the reaction to fail");
+
+            }, function(reactorResult) {
+                assert.equal(reactorResult.failureType,'command');
+                assert.equal(reactorResult.commandResults[0].stdout,"/tmp/test File'1; echo $(whoami)|" + fs.realpathSync(targetTmpDir) + "|add");
+                assert.equal(reactorResult.commandResults[0].exitCode,0);
+                assert.equal(reactorResult.commandResults[1].exitCode,3);
+                done();
+
+            }).catch(function(e) {
+                done(e);
+            });
+
+    });
+
+    it('The spawn backend fails commands terminated by a signal and gives them no stdin', function(done) {
+
+        this.timeout(5000);
+
+        var plugin = new ShellExecReactorPlugin('shellExecTest', 'ioReactor-test2', logger, errorCallback, function() {}, {
+            backend: 'spawn',
+            commandTemplates: [
+                // would never end if stdin were an open pipe
+                { argv: [process.execPath, '-e', 'process.stdin.on("end", function() { console.log("eof"); }).resume()'] },
+                { argv: [process.execPath, '-e', 'process.kill(process.pid, "SIGTERM")'] }
+            ]
+        });
+        createdPlugins.push(plugin);
+
+        plugin.react(new IoEvent('add','/tmp/testFile1',{size:100},null))
+            .then(function(reactorResult) {
+                done("Expected the reaction to fail");
+
+            }, function(reactorResult) {
+                assert.equal(reactorResult.failureType,'command');
+                assert.equal(reactorResult.commandResults[0].stdout,'eof');
+                assert.equal(reactorResult.commandResults[0].signal,undefined);
+                if (!/^win/.test(process.platform)) {
+                    assert.equal(reactorResult.commandResults[1].exitCode,null);
+                    assert.equal(reactorResult.commandResults[1].signal,'SIGTERM');
+                }
+                done();
+
+            }).catch(function(e) {
+                done(e);
+            });
+
+    });
+
 });